@@ -10,7 +10,12 @@ import HomeScreen from './ui/screens/HomeScreen.jsx';
 import SongListScreen from './ui/screens/SongListScreen.jsx';
 import GameScreen from './ui/screens/GameScreen.jsx';
 import ResultsScreen from './ui/screens/ResultsScreen.jsx';
+import CalibrationScreen from './ui/screens/CalibrationScreen.jsx';
+import DuelScreen from './ui/screens/DuelScreen.jsx';
+import DuelResultsScreen from './ui/screens/DuelResultsScreen.jsx';
 import { getSong } from './songs/index.js';
+import { PlayMode, WrongNotePolicy } from './engine/GameEngine.js';
+import { parseChartId } from './engine/Recording.js';
 import './App.css';
 
 // Screen types
@@ -20,13 +25,27 @@ const Screens = {
   GAME: 'game',
   RESULTS: 'results',
   LESSONS: 'lessons',
+  CALIBRATION: 'calibration',
+  DUEL: 'duel',
+  DUEL_RESULTS: 'duelResults',
 };
 
 function App() {
   const [currentScreen, setCurrentScreen] = useState(Screens.HOME);
   const [selectedSong, setSelectedSong] = useState(null);
   const [selectedDifficulty, setSelectedDifficulty] = useState('simple');
+  const [playSettings, setPlaySettings] = useState({
+    mode: PlayMode.NORMAL,
+    playbackRate: 1,
+    countInBars: 1,
+    adaptive: false,
+    wrongNotePolicy: WrongNotePolicy.PENALIZE,
+    practiceHand: null,
+  });
   const [gameResults, setGameResults] = useState(null);
+  const [replayRecording, setReplayRecording] = useState(null);
+  const [practiceSection, setPracticeSection] = useState(null);
+  const [duelMode, setDuelMode] = useState(false);
   const [audioInitialized, setAudioInitialized] = useState(false);
 
   // Initialize audio on first user interaction
@@ -45,6 +64,14 @@ function App() {
 
   const goToSongs = useCallback(async () => {
     await initAudio();
+    setDuelMode(false);
+    setCurrentScreen(Screens.SONGS);
+  }, [initAudio]);
+
+  // Duels pick a song from the same list, then play it two-player
+  const goToDuelSongs = useCallback(async () => {
+    await initAudio();
+    setDuelMode(true);
     setCurrentScreen(Screens.SONGS);
   }, [initAudio]);
 
@@ -55,26 +82,66 @@ function App() {
     setCurrentScreen(Screens.SONGS);
   }, [initAudio]);
 
+  const goToCalibration = useCallback(async () => {
+    await initAudio();
+    setCurrentScreen(Screens.CALIBRATION);
+  }, [initAudio]);
+
   const startQuickPlay = useCallback(async () => {
     await initAudio();
     // Quick play starts with Twinkle Twinkle on Simple
     setSelectedSong('twinkle-twinkle');
     setSelectedDifficulty('simple');
+    setReplayRecording(null);
+    setPracticeSection(null);
     setCurrentScreen(Screens.GAME);
   }, [initAudio]);
 
-  const selectSong = useCallback((songId, difficulty) => {
+  const selectSong = useCallback((songId, difficulty, settings = {}) => {
     setSelectedSong(songId);
     setSelectedDifficulty(difficulty);
-    setCurrentScreen(Screens.GAME);
-  }, []);
+    setPlaySettings(prev => ({ ...prev, ...settings }));
+    setReplayRecording(null);
+    setPracticeSection(null);
+    setCurrentScreen(duelMode ? Screens.DUEL : Screens.GAME);
+  }, [duelMode]);
 
   const handleGameFinish = useCallback((results) => {
     setGameResults(results);
     setCurrentScreen(Screens.RESULTS);
   }, []);
 
+  const handleDuelFinish = useCallback((results) => {
+    setGameResults(results);
+    setCurrentScreen(Screens.DUEL_RESULTS);
+  }, []);
+
+  const rematch = useCallback(() => {
+    setGameResults(null);
+    setCurrentScreen(Screens.DUEL);
+  }, []);
+
   const replaySong = useCallback(() => {
+    setGameResults(null);
+    setReplayRecording(null);
+    setPracticeSection(null);
+    setCurrentScreen(Screens.GAME);
+  }, []);
+
+  // Loop one part of the song from the results screen
+  const startSectionPractice = useCallback((section) => {
+    setGameResults(null);
+    setReplayRecording(null);
+    setPracticeSection({ name: section.name, startMs: section.startMs, endMs: section.endMs });
+    setCurrentScreen(Screens.GAME);
+  }, []);
+
+  // Watch a recorded run played back on its chart
+  const watchReplay = useCallback((recording) => {
+    const { songId, difficulty } = parseChartId(recording.chartId);
+    setSelectedSong(songId);
+    setSelectedDifficulty(difficulty);
+    setReplayRecording(recording);
     setGameResults(null);
     setCurrentScreen(Screens.GAME);
   }, []);
@@ -91,13 +158,25 @@ function App() {
             onPlay={startQuickPlay}
             onSongs={goToSongs}
             onLessons={goToLessons}
+            onDuel={goToDuelSongs}
+            onCalibrate={goToCalibration}
           />
         );
 
+      case Screens.CALIBRATION:
+        return <CalibrationScreen onBack={goToHome} />;
+
       case Screens.SONGS:
         return (
           <SongListScreen
             onSelectSong={selectSong}
+            initialMode={playSettings.mode}
+            initialPlaybackRate={playSettings.playbackRate}
+            initialCountInBars={playSettings.countInBars}
+            initialAdaptive={playSettings.adaptive}
+            initialWrongNotePolicy={playSettings.wrongNotePolicy}
+            initialPracticeHand={playSettings.practiceHand}
+            duel={duelMode}
             onBack={goToHome}
           />
         );
@@ -107,6 +186,14 @@ function App() {
           <GameScreen
             songId={selectedSong}
             difficulty={selectedDifficulty}
+            mode={replayRecording?.settings.mode ?? playSettings.mode}
+            playbackRate={replayRecording?.settings.playbackRate ?? playSettings.playbackRate}
+            countInBars={replayRecording?.settings.countIn.bars ?? playSettings.countInBars}
+            adaptive={replayRecording?.settings.adaptive ?? playSettings.adaptive}
+            wrongNotePolicy={replayRecording?.settings.wrongNotePolicy ?? playSettings.wrongNotePolicy}
+            practiceHand={replayRecording ? replayRecording.settings.practiceHand ?? null : playSettings.practiceHand}
+            practiceSection={replayRecording ? null : practiceSection}
+            replay={replayRecording}
             onBack={goToSongs}
             onFinish={handleGameFinish}
           />
@@ -118,10 +205,34 @@ function App() {
             results={gameResults}
             songTitle={currentSongInfo?.shortTitle || 'Song'}
             onReplay={replaySong}
+            onWatchReplay={watchReplay}
+            onPracticeSection={startSectionPractice}
             onBack={goToSongs}
           />
         );
 
+      case Screens.DUEL:
+        return (
+          <DuelScreen
+            songId={selectedSong}
+            difficulty={selectedDifficulty}
+            playbackRate={playSettings.playbackRate}
+            countInBars={playSettings.countInBars}
+            onBack={goToDuelSongs}
+            onFinish={handleDuelFinish}
+          />
+        );
+
+      case Screens.DUEL_RESULTS:
+        return (
+          <DuelResultsScreen
+            results={gameResults}
+            songTitle={currentSongInfo?.shortTitle || 'Song'}
+            onReplay={rematch}
+            onBack={goToDuelSongs}
+          />
+        );
+
       default:
         return <HomeScreen onPlay={startQuickPlay} onSongs={goToSongs} onLessons={goToLessons} />;
     }
@@ -18,6 +18,7 @@ export class AudioEngine {
     this.masterGain = null;
     this.initialized = false;
     this.activeOscillators = new Map();
+    this.playbackRate = 1; // Song tempo, scales note durations
   }
 
   /**
@@ -43,12 +44,31 @@ export class AudioEngine {
   }
 
   /**
-   * Play a note with envelope
+   * Set the song tempo so note durations follow it
+   * @param {number} rate - Playback rate (1 = chart tempo)
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+  }
+
+  /**
+   * Play a song note with envelope
    * @param {number} midiNote - MIDI note number
-   * @param {number} duration - Duration in ms (optional, for auto-release)
+   * @param {number} duration - Duration in song ms (optional, for auto-release),
+   *   stretched by the playback rate
    * @returns {string} Note ID for stopping
    */
   playNote(midiNote, duration = null) {
+    return this.playTone(midiNote, duration ? duration / this.playbackRate : null);
+  }
+
+  /**
+   * Play a tone with envelope, ignoring the song tempo
+   * @param {number} midiNote - MIDI note number
+   * @param {number} duration - Duration in real ms (optional, for auto-release)
+   * @returns {string} Note ID for stopping
+   */
+  playTone(midiNote, duration = null) {
     if (!this.initialized) return null;
 
     const freq = midiToFreq(midiNote);
@@ -149,7 +169,7 @@ export class AudioEngine {
 
     const notes = [72, 76, 79, 84]; // C5, E5, G5, C6 - happy arpeggio
     notes.forEach((note, i) => {
-      setTimeout(() => this.playNote(note, 300), i * 100);
+      setTimeout(() => this.playTone(note, 300), i * 100);
     });
   }
 
@@ -178,6 +198,23 @@ export class AudioEngine {
     osc.stop(now + 0.05);
   }
 
+  /**
+   * Describe the device sound is played on
+   * Device names are only listed once the browser allows it; until then the
+   * label is empty.
+   * @returns {Promise<object>} {id, label}; id is 'default' for the system output
+   */
+  async getOutputDevice() {
+    const id = (typeof this.context?.sinkId === 'string' && this.context.sinkId) || 'default';
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const device = devices.find(d => d.kind === 'audiooutput' && d.deviceId === id);
+      return { id, label: device?.label ?? '' };
+    } catch {
+      return { id, label: '' };
+    }
+  }
+
   /**
    * Set master volume
    * @param {number} volume - 0 to 1
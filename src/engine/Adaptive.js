@@ -0,0 +1,89 @@
+/**
+ * Adaptive - Change difficulty mid-song from the player's rolling accuracy
+ *
+ * Difficulty moves one level at a time through ADAPTIVE_LEVELS. Level 0 is
+ * the chart as written; each level above it makes the song easier:
+ * wider hit windows first, then a slower tempo, then the song thinned to
+ * its melody: chords keep their top note, and bass and accompaniment
+ * (left-hand notes, or notes below middle C) are dropped.
+ *
+ * After every ADAPTIVE_CONFIG.windowNotes judged notes the accuracy of the
+ * last windowNotes decides the next step:
+ * - Below struggleAccuracy: one level easier
+ * - At or above comfortAccuracy: one level harder (back towards level 0)
+ */
+
+import { Hand } from './ChartParser.js';
+import { BASS_SPLIT_MIDI } from './DifficultyGenerator.js';
+
+// Adaptive difficulty settings
+export const ADAPTIVE_CONFIG = {
+  windowNotes: 8,       // Notes in the rolling accuracy, and notes between changes
+  struggleAccuracy: 60, // Below this (%) the song gets easier
+  comfortAccuracy: 90,  // At or above this (%) it gets harder again
+  leadMs: 1000,         // Thinning only changes notes this far past the judged note
+};
+
+// Adjustments at each level, easiest last
+export const ADAPTIVE_LEVELS = [
+  { level: 0, windowScale: 1, rateScale: 1, thinChords: false },
+  { level: 1, windowScale: 1.5, rateScale: 1, thinChords: false },
+  { level: 2, windowScale: 1.5, rateScale: 0.85, thinChords: false },
+  { level: 3, windowScale: 1.5, rateScale: 0.85, thinChords: true },
+  { level: 4, windowScale: 2, rateScale: 0.7, thinChords: true },
+];
+
+/**
+ * Reasons for a level change
+ */
+export const AdaptiveReason = {
+  STRUGGLING: 'struggling', // Made easier
+  IMPROVING: 'improving',   // Made harder
+};
+
+/**
+ * Pick the next level from the rolling accuracy
+ * @param {number} level - Current level
+ * @param {number|null} accuracy - Rolling accuracy 0-100 (null = not enough notes yet)
+ * @param {object} config - ADAPTIVE_CONFIG overrides
+ * @returns {number} Next level
+ */
+export function chooseAdaptiveLevel(level, accuracy, config = ADAPTIVE_CONFIG) {
+  if (accuracy === null) return level;
+
+  const maxLevel = ADAPTIVE_LEVELS.length - 1;
+  if (accuracy < config.struggleAccuracy) return Math.min(level + 1, maxLevel);
+  if (accuracy >= config.comfortAccuracy) return Math.max(level - 1, 0);
+  return level;
+}
+
+/**
+ * Find the notes dropped when the song is thinned
+ * Every chord keeps only its highest note, and bass notes (left hand, or
+ * below BASS_SPLIT_MIDI) are dropped unless every note is a bass note.
+ * @param {Array} notes - Parsed chart notes the player plays (with chordId)
+ * @returns {Set<string>} Ids of the notes to drop
+ */
+export function getThinnedNoteIds(notes) {
+  const isBass = note => note.hand === Hand.LEFT || note.midi < BASS_SPLIT_MIDI;
+  // A part with nothing above the bass is all melody
+  const thinBass = notes.some(note => !isBass(note));
+
+  const topNotes = new Map(); // chordId -> highest note
+  for (const note of notes) {
+    if (!note.chordId) continue;
+    const top = topNotes.get(note.chordId);
+    if (!top || note.midi > top.midi) {
+      topNotes.set(note.chordId, note);
+    }
+  }
+
+  return new Set(
+    notes
+      .filter(note =>
+        (thinBass && isBass(note)) ||
+        (note.chordId && topNotes.get(note.chordId) !== note)
+      )
+      .map(note => note.id)
+  );
+}
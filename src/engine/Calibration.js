@@ -0,0 +1,163 @@
+/**
+ * Calibration - Measure and store input/audio latency per device
+ *
+ * The wizard runs two phases at a steady beat:
+ * - Listen: metronome clicks only, the player taps along to the sound
+ * - Watch: a flashing light only, the player taps along to the picture
+ *
+ * Watch taps measure the input offset (keyboard/MIDI lag).
+ * Listen taps measure input + audio lag, so:
+ *   audioOffset = listenOffset - inputOffset
+ *
+ * The input offset belongs to the keyboard and the audio offset to the
+ * speakers or headphones, so each is stored under its own device: a new
+ * pair of Bluetooth headphones needs its own calibration, the keyboard not.
+ */
+
+// Calibration beat settings
+export const CALIBRATION_CONFIG = {
+  bpm: 90,
+  beatsPerPhase: 12,
+  warmupBeats: 4,   // First beats are ignored while the player finds the pulse
+  minTaps: 5,       // Fewer matched taps than this and the phase is retried
+  maxOffsetMs: 300, // Offsets are clamped to this range
+};
+
+// Offsets used when a device was never calibrated
+export const DEFAULT_LATENCY = {
+  inputOffsetMs: 0,
+  audioOffsetMs: 0,
+};
+
+// localStorage key holding {[inputKey]: {inputOffsetMs, calibratedAt},
+// [outputKey]: {audioOffsetMs, calibratedAt}}
+const STORAGE_KEY = 'simply-keys.calibration';
+
+/**
+ * Match each beat to the nearest tap and return the tap offsets
+ * @param {number[]} beatTimes - When each beat was played (ms)
+ * @param {number[]} tapTimes - When the player tapped (ms)
+ * @param {object} options - {beatMs, warmupBeats}
+ * @returns {number[]} Signed offsets (tap - beat); positive = late
+ */
+export function getTapOffsets(beatTimes, tapTimes, options = {}) {
+  const beatMs = options.beatMs ?? 60000 / CALIBRATION_CONFIG.bpm;
+  const warmupBeats = options.warmupBeats ?? CALIBRATION_CONFIG.warmupBeats;
+  const offsets = [];
+
+  for (const beatTime of beatTimes.slice(warmupBeats)) {
+    let best = null;
+    for (const tapTime of tapTimes) {
+      const delta = tapTime - beatTime;
+      if (Math.abs(delta) < beatMs / 2 && (best === null || Math.abs(delta) < Math.abs(best))) {
+        best = delta;
+      }
+    }
+    if (best !== null) {
+      offsets.push(best);
+    }
+  }
+
+  return offsets;
+}
+
+/**
+ * Reduce tap offsets to one latency value (median, robust to stray taps)
+ * @param {number[]} offsets - Tap offsets from getTapOffsets()
+ * @returns {number|null} Offset in ms, or null if there were too few taps
+ */
+export function computeOffset(offsets) {
+  if (offsets.length < CALIBRATION_CONFIG.minTaps) return null;
+
+  const sorted = [...offsets].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return clampOffset(Math.round(median));
+}
+
+/**
+ * Compute input and audio offsets from the two wizard phases
+ * @param {number[]} listenOffsets - Tap offsets while hearing clicks
+ * @param {number[]} watchOffsets - Tap offsets while watching flashes
+ * @returns {object|null} {inputOffsetMs, audioOffsetMs}, or null if a phase had too few taps
+ */
+export function computeCalibration(listenOffsets, watchOffsets) {
+  const listenOffset = computeOffset(listenOffsets);
+  const inputOffset = computeOffset(watchOffsets);
+  if (listenOffset === null || inputOffset === null) return null;
+
+  return {
+    inputOffsetMs: inputOffset,
+    audioOffsetMs: clampOffset(listenOffset - inputOffset),
+  };
+}
+
+/**
+ * Get the storage key for the input device in use
+ * @param {Array} midiDevices - Devices from MidiInput.getDevices()
+ * @returns {string} 'midi:<name>' for the first MIDI keyboard, else 'screen'
+ */
+export function getInputDeviceKey(midiDevices = []) {
+  return midiDevices.length > 0 ? `midi:${midiDevices[0].name}` : 'screen';
+}
+
+/**
+ * Get the storage key for the audio output in use
+ * @param {object|null} outputDevice - Device from AudioEngine.getOutputDevice()
+ * @returns {string} 'audio:<label>' when the device is named, else 'audio:<id>'
+ */
+export function getOutputDeviceKey(outputDevice = null) {
+  if (!outputDevice) return 'audio:default';
+  return `audio:${outputDevice.label || outputDevice.id}`;
+}
+
+/**
+ * Load saved offsets for a pair of devices
+ * @param {string} inputKey - Key from getInputDeviceKey()
+ * @param {string} outputKey - Key from getOutputDeviceKey()
+ * @returns {object} {inputOffsetMs, audioOffsetMs}
+ */
+export function loadCalibration(inputKey, outputKey) {
+  const store = readStore();
+
+  return {
+    inputOffsetMs: store[inputKey]?.inputOffsetMs ?? DEFAULT_LATENCY.inputOffsetMs,
+    audioOffsetMs: store[outputKey]?.audioOffsetMs ?? DEFAULT_LATENCY.audioOffsetMs,
+  };
+}
+
+/**
+ * Save offsets, the input offset for the input device and the audio
+ * offset for the output device
+ * @param {string} inputKey - Key from getInputDeviceKey()
+ * @param {string} outputKey - Key from getOutputDeviceKey()
+ * @param {object} offsets - {inputOffsetMs, audioOffsetMs}
+ */
+export function saveCalibration(inputKey, outputKey, offsets) {
+  const store = readStore();
+  const calibratedAt = new Date().toISOString();
+  store[inputKey] = { inputOffsetMs: offsets.inputOffsetMs, calibratedAt };
+  store[outputKey] = { audioOffsetMs: offsets.audioOffsetMs, calibratedAt };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.warn('Could not save calibration:', err);
+  }
+}
+
+function clampOffset(offsetMs) {
+  const max = CALIBRATION_CONFIG.maxOffsetMs;
+  return Math.max(-max, Math.min(max, offsetMs));
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
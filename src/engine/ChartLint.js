@@ -0,0 +1,136 @@
+/**
+ * ChartLint - Catch chart mistakes before they reach the game
+ *
+ * parseChart() only rejects charts it cannot read. The linter also flags
+ * charts that parse but play badly:
+ * - overlapping notes of the same pitch (the second can never be heard)
+ * - notes the on-screen keyboard can't play, or outside meta.json midiRange
+ * - "time" and "timeMs" (or "duration" and "durationMs") mixed in one chart
+ * - a "difficulty" field that doesn't match the chart's file
+ * - notes that are not in time order
+ */
+
+import { parseChart } from './ChartParser.js';
+
+// Keys on the game screen's PianoKeyboard (C4 to C5)
+export const KEYBOARD_MIDI_RANGE = [60, 72];
+
+/**
+ * Lint rules (issue.rule)
+ */
+export const LintRule = {
+  INVALID: 'invalid',
+  OVERLAP: 'overlap',
+  KEYBOARD_RANGE: 'keyboardRange',
+  META_RANGE: 'metaRange',
+  MIXED_KEYS: 'mixedKeys',
+  DIFFICULTY: 'difficulty',
+  UNSORTED: 'unsorted',
+};
+
+// Property names that mean the same thing; a chart should use one of each
+const KEY_PAIRS = [
+  ['time', 'timeMs'],
+  ['duration', 'durationMs'],
+];
+
+/**
+ * Lint a chart
+ * @param {object} chartData - Raw chart data
+ * @param {object} options - {difficulty, midiRange}
+ *   difficulty: the difficulty the chart is filed under
+ *   midiRange: [lowest, highest] from meta.json
+ * @returns {Array} Issues as {rule, message, noteIndex} (noteIndex null for
+ *   chart-wide issues); empty for a clean chart
+ */
+export function lintChart(chartData, options = {}) {
+  let chart;
+  try {
+    chart = parseChart(chartData);
+  } catch (error) {
+    return [createIssue(LintRule.INVALID, error.message)];
+  }
+
+  const issues = [];
+
+  if (options.difficulty && chartData.difficulty !== undefined &&
+      chartData.difficulty !== options.difficulty) {
+    issues.push(createIssue(
+      LintRule.DIFFICULTY,
+      `difficulty "${chartData.difficulty}" does not match "${options.difficulty}"`
+    ));
+  }
+
+  for (const [short, long] of KEY_PAIRS) {
+    if (chartData.notes.some(note => short in note) && chartData.notes.some(note => long in note)) {
+      issues.push(createIssue(LintRule.MIXED_KEYS, `notes mix "${short}" and "${long}"`));
+    }
+  }
+
+  // Parsed notes are sorted; their ids still give the order in the file
+  const fileOrder = [...chart.notes].sort((a, b) => getNoteIndex(a) - getNoteIndex(b));
+  for (let i = 1; i < fileOrder.length; i++) {
+    if (fileOrder[i].timeMs < fileOrder[i - 1].timeMs) {
+      issues.push(createIssue(
+        LintRule.UNSORTED,
+        `note at ${fileOrder[i].timeMs}ms comes after a note at ${fileOrder[i - 1].timeMs}ms`,
+        getNoteIndex(fileOrder[i])
+      ));
+    }
+  }
+
+  const [keyboardLow, keyboardHigh] = KEYBOARD_MIDI_RANGE;
+  const lastByPitch = new Map();
+  for (const note of chart.notes) {
+    const index = getNoteIndex(note);
+
+    if (note.midi < keyboardLow || note.midi > keyboardHigh) {
+      issues.push(createIssue(
+        LintRule.KEYBOARD_RANGE,
+        `${note.noteName} at ${note.timeMs}ms is off the ${keyboardLow}-${keyboardHigh} keyboard`,
+        index
+      ));
+    }
+
+    if (options.midiRange &&
+        (note.midi < options.midiRange[0] || note.midi > options.midiRange[1])) {
+      issues.push(createIssue(
+        LintRule.META_RANGE,
+        `${note.noteName} at ${note.timeMs}ms is outside midiRange ${options.midiRange.join('-')}`,
+        index
+      ));
+    }
+
+    const previous = lastByPitch.get(note.midi);
+    if (previous && note.timeMs < previous.timeMs + previous.durationMs) {
+      issues.push(createIssue(
+        LintRule.OVERLAP,
+        `${note.noteName} at ${note.timeMs}ms starts before the one at ${previous.timeMs}ms ends`,
+        index
+      ));
+    }
+    lastByPitch.set(note.midi, note);
+  }
+
+  return issues;
+}
+
+/**
+ * Get a parsed note's index in the chart file
+ * @param {object} note - Note from parseChart()
+ * @returns {number}
+ */
+function getNoteIndex(note) {
+  return parseInt(note.id.slice('note-'.length));
+}
+
+/**
+ * Build a lint issue
+ * @param {string} rule - LintRule value
+ * @param {string} message - What is wrong
+ * @param {number|null} noteIndex - Index of the note in the file
+ * @returns {object}
+ */
+function createIssue(rule, message, noteIndex = null) {
+  return { rule, message, noteIndex };
+}
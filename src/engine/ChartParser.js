@@ -9,8 +9,64 @@
  *     ...
  *   ]
  * }
+ *
+ * Notes that share a timeMs form a chord. parseChart() tags them with a
+ * shared chordId so the chord can be judged as one event.
+ *
+ * Dynamics marks (p, mf, f) are optional, per note or per section:
+ *   { "timeMs": 0, "midi": 60, "dynamic": "p" }
+ *   "dynamics": [{ "timeMs": 0, "dynamic": "mf" }, { "timeMs": 8000, "dynamic": "f" }]
+ * A section mark applies from its time until the next one; a note's own
+ * mark wins. Unmarked notes get dynamic null.
+ *
+ * Notes can name the hand that plays them ("L" or "R", default "R"):
+ *   { "timeMs": 0, "midi": 48, "hand": "L" }
+ *
+ * Notes can suggest a finger (1 = thumb ... 5 = little finger) to teach
+ * fingering; unmarked notes get finger null:
+ *   { "timeMs": 0, "midi": 60, "finger": 1 }
+ *
+ * Named sections (intro, verse, chorus, ...) split the song for practice
+ * and per-section results. They may not overlap; gaps are allowed:
+ *   "sections": [{ "name": "Verse", "startMs": 0, "endMs": 8000 }, ...]
+ * Each note gets the sectionId of the section it starts in (or null).
+ *
+ * A lyrics track gives the words to sing, one syllable per entry, attached
+ * to a note id or a time. "newLine": true starts a new karaoke line:
+ *   "lyrics": [{ "noteId": "note-0", "text": "Ma-" }, { "timeMs": 500, "text": "ry" }, ...]
+ * A syllable ending in "-" joins the next one into a word.
+ *
+ * Beat charts give a tempo map and place everything on beats (or ticks,
+ * ticksPerBeat to a beat, default 480) instead of milliseconds:
+ *   { "tempo": 100, "timeSignature": "3/4",
+ *     "notes": [{ "beat": 0, "midi": 60, "beats": 1 }, { "tick": 720, "midi": 62 }] }
+ * Dynamics and lyrics take "beat", sections "startBeat"/"endBeat". They are
+ * compiled to timeMs before parsing, so the rest of the game never sees
+ * beats; charts without a tempo are read in milliseconds as above.
  */
 
+import { Dynamic } from './HitDetection.js';
+import { buildTempoMap, beatToMs, parseTimeSignature, getBarTimes } from './TempoMap.js';
+
+const DYNAMICS = Object.values(Dynamic);
+
+/**
+ * Hands a note can be played with
+ */
+export const Hand = {
+  LEFT: 'L',
+  RIGHT: 'R',
+};
+
+const HANDS = Object.values(Hand);
+
+// Fingers are numbered from the thumb (1) to the little finger (5)
+const MIN_FINGER = 1;
+const MAX_FINGER = 5;
+
+// Tick resolution of beat charts that do not set ticksPerBeat
+export const DEFAULT_TICKS_PER_BEAT = 480;
+
 /**
  * MIDI note number to note name mapping
  */
@@ -40,7 +96,13 @@ export function parseChart(chartData) {
     throw new Error('Invalid chart: missing notes array');
   }
 
-  const parsedNotes = chartData.notes.map((note, index) => {
+  const beatChart = chartData.tempo !== undefined ? compileBeatChart(chartData) : null;
+  const source = beatChart ? beatChart.chartData : chartData;
+
+  const sections = parseDynamics(source.dynamics);
+  const songSections = parseSections(source.sections);
+
+  const parsedNotes = source.notes.map((note, index) => {
     // Support both timeMs and time property names
     const timeMs = note.timeMs ?? note.time;
     const durationMs = note.durationMs ?? note.duration ?? 400;
@@ -51,6 +113,16 @@ export function parseChart(chartData) {
     if (typeof note.midi !== 'number' || note.midi < 0 || note.midi > 127) {
       throw new Error(`Invalid note at index ${index}: invalid midi number`);
     }
+    if (note.dynamic !== undefined && !DYNAMICS.includes(note.dynamic)) {
+      throw new Error(`Invalid note at index ${index}: invalid dynamic`);
+    }
+    if (note.hand !== undefined && !HANDS.includes(note.hand)) {
+      throw new Error(`Invalid note at index ${index}: invalid hand`);
+    }
+    if (note.finger !== undefined &&
+        (!Number.isInteger(note.finger) || note.finger < MIN_FINGER || note.finger > MAX_FINGER)) {
+      throw new Error(`Invalid note at index ${index}: invalid finger`);
+    }
 
     return {
       id: `note-${index}`,
@@ -58,6 +130,10 @@ export function parseChart(chartData) {
       midi: note.midi,
       durationMs: durationMs,
       noteName: MIDI_TO_NOTE[note.midi] || `M${note.midi}`,
+      dynamic: note.dynamic ?? getSectionDynamic(sections, timeMs),
+      hand: note.hand ?? Hand.RIGHT,
+      finger: note.finger ?? null,
+      sectionId: getSectionAt(songSections, timeMs)?.id ?? null,
       hit: false,
       hitResult: null,
     };
@@ -66,16 +142,281 @@ export function parseChart(chartData) {
   // Sort by time
   parsedNotes.sort((a, b) => a.timeMs - b.timeMs);
 
+  const chords = groupChords(parsedNotes);
+  const lyrics = parseLyrics(source.lyrics, parsedNotes);
+  const duration = parsedNotes.length > 0
+    ? parsedNotes[parsedNotes.length - 1].timeMs +
+      parsedNotes[parsedNotes.length - 1].durationMs
+    : 0;
+
   return {
     notes: parsedNotes,
-    duration: parsedNotes.length > 0
-      ? parsedNotes[parsedNotes.length - 1].timeMs +
-        parsedNotes[parsedNotes.length - 1].durationMs
-      : 0,
+    chords,
+    duration,
     noteCount: parsedNotes.length,
+    hands: HANDS.filter(hand => parsedNotes.some(note => note.hand === hand)),
+    sections: songSections,
+    lyrics,
+    // Beat charts only (null / empty for millisecond charts)
+    tempoMap: beatChart?.tempoMap ?? null,
+    timeSignature: beatChart?.timeSignature ?? null,
+    barTimes: beatChart
+      ? getBarTimes(beatChart.tempoMap, beatChart.timeSignature.beatsPerBar, duration)
+      : [],
+  };
+}
+
+/**
+ * Compile a beat chart to a millisecond chart
+ * Beat and tick positions become timeMs, lengths in beats or ticks become
+ * durationMs (following tempo changes inside the note). Items without a
+ * beat position are passed through and validated as millisecond items.
+ * @param {object} chartData - Raw beat chart
+ * @returns {object} {chartData, tempoMap, timeSignature}
+ * @throws {Error} If the tempo map, time signature or a note position is invalid
+ */
+function compileBeatChart(chartData) {
+  const tempoMap = buildTempoMap(chartData.tempo);
+  const timeSignature = parseTimeSignature(chartData.timeSignature);
+  const ticksPerBeat = chartData.ticksPerBeat ?? DEFAULT_TICKS_PER_BEAT;
+  if (typeof ticksPerBeat !== 'number' || !(ticksPerBeat > 0)) {
+    throw new Error('Invalid chart: invalid ticksPerBeat');
+  }
+
+  const toBeat = (beat, tick) => beat ?? (typeof tick === 'number' ? tick / ticksPerBeat : undefined);
+  const isBeat = (beat) => typeof beat === 'number' && beat >= 0;
+  const toMs = (beat) => (isBeat(beat) ? beatToMs(tempoMap, beat) : undefined);
+  // Malformed lists are left for the millisecond parser to reject
+  const mapItems = (items, compile) => (Array.isArray(items) ? items.map(compile) : items);
+
+  const notes = chartData.notes.map((note, index) => {
+    const beat = toBeat(note.beat, note.tick);
+    if (!isBeat(beat)) {
+      throw new Error(`Invalid note at index ${index}: invalid beat`);
+    }
+    const timeMs = toMs(beat);
+    const length = toBeat(note.beats, note.ticks);
+    return {
+      ...note,
+      timeMs,
+      durationMs: isBeat(length) ? toMs(beat + length) - timeMs : note.durationMs,
+    };
+  });
+
+  return {
+    chartData: {
+      ...chartData,
+      notes,
+      dynamics: mapItems(chartData.dynamics, mark => (
+        mark.beat !== undefined ? { ...mark, timeMs: toMs(mark.beat) } : mark
+      )),
+      sections: mapItems(chartData.sections, section => (
+        section.startBeat !== undefined || section.endBeat !== undefined
+          ? { ...section, startMs: toMs(section.startBeat), endMs: toMs(section.endBeat) }
+          : section
+      )),
+      lyrics: mapItems(chartData.lyrics, syllable => (
+        syllable.beat !== undefined ? { ...syllable, timeMs: toMs(syllable.beat) } : syllable
+      )),
+    },
+    tempoMap,
+    timeSignature,
   };
 }
 
+/**
+ * Parse and validate the named sections of a chart
+ * @param {Array|undefined} sections - Raw sections as {name, startMs, endMs}
+ * @returns {Array} Sections as {id, name, startMs, endMs}, sorted by startMs
+ * @throws {Error} If a section is invalid or two sections overlap
+ */
+function parseSections(sections = []) {
+  if (!Array.isArray(sections)) {
+    throw new Error('Invalid chart: sections must be an array');
+  }
+
+  const parsed = sections
+    .map((section, index) => {
+      const startMs = section.startMs ?? section.start;
+      const endMs = section.endMs ?? section.end;
+      if (typeof section.name !== 'string' || !section.name.trim() ||
+          typeof startMs !== 'number' || startMs < 0 ||
+          typeof endMs !== 'number' || endMs <= startMs) {
+        throw new Error(`Invalid section at index ${index}`);
+      }
+      return { name: section.name, startMs, endMs };
+    })
+    .sort((a, b) => a.startMs - b.startMs)
+    .map((section, index) => ({ id: `section-${index}`, ...section }));
+
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].startMs < parsed[i - 1].endMs) {
+      throw new Error(`Invalid chart: sections "${parsed[i - 1].name}" and "${parsed[i].name}" overlap`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Find the section a time falls in
+ * @param {Array} sections - Sections from parseSections()
+ * @param {number} timeMs - Song time
+ * @returns {object|null} Section, or null outside every section
+ */
+export function getSectionAt(sections, timeMs) {
+  return sections.find(section => timeMs >= section.startMs && timeMs < section.endMs) ?? null;
+}
+
+/**
+ * Parse and validate the lyrics track of a chart
+ * @param {Array|undefined} lyrics - Raw syllables as {noteId|timeMs, text, newLine}
+ * @param {Array} notes - Parsed notes, for syllables attached to a note id
+ * @returns {Array} Syllables as {id, text, timeMs, noteId, line}, sorted by timeMs
+ * @throws {Error} If a syllable is invalid or names an unknown note
+ */
+function parseLyrics(lyrics = [], notes) {
+  if (!Array.isArray(lyrics)) {
+    throw new Error('Invalid chart: lyrics must be an array');
+  }
+
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  let line = -1;
+
+  return lyrics
+    .map((syllable, index) => {
+      if (typeof syllable.text !== 'string' || !syllable.text.trim()) {
+        throw new Error(`Invalid lyric at index ${index}`);
+      }
+
+      const noteId = syllable.noteId ?? null;
+      let timeMs = syllable.timeMs ?? syllable.time;
+      if (noteId !== null) {
+        if (!notesById.has(noteId)) {
+          throw new Error(`Invalid lyric at index ${index}: unknown note "${noteId}"`);
+        }
+        timeMs = notesById.get(noteId).timeMs;
+      } else if (typeof timeMs !== 'number' || timeMs < 0) {
+        throw new Error(`Invalid lyric at index ${index}`);
+      }
+
+      return { text: syllable.text, timeMs, noteId, newLine: syllable.newLine === true };
+    })
+    .sort((a, b) => a.timeMs - b.timeMs)
+    .map(({ newLine, ...syllable }, index) => {
+      if (newLine || index === 0) line++;
+      return { id: `lyric-${index}`, ...syllable, line };
+    });
+}
+
+/**
+ * Get the karaoke line being sung at a time
+ * Before the first syllable this is the first line, with nothing sung yet.
+ * Only the syllables around timeMs are looked at, so it is cheap every frame.
+ * @param {Array} lyrics - Syllables from parseChart()
+ * @param {number} timeMs - Song time
+ * @returns {object|null} {syllables, currentId, next} with the syllables of
+ *   the line and the following line, or null for a chart without lyrics
+ */
+export function getLyricLine(lyrics, timeMs) {
+  if (lyrics.length === 0) return null;
+
+  // Last syllable at or before timeMs
+  let index = findNoteIndex(lyrics, timeMs);
+  while (index < lyrics.length && lyrics[index].timeMs === timeMs) index++;
+  const current = lyrics[index - 1] ?? null;
+
+  // A line is a run of syllables, so widen from the current one
+  const line = current ? current.line : 0;
+  let start = Math.max(index - 1, 0);
+  while (start > 0 && lyrics[start - 1].line === line) start--;
+  let end = start;
+  while (end < lyrics.length && lyrics[end].line === line) end++;
+  let nextEnd = end;
+  while (nextEnd < lyrics.length && lyrics[nextEnd].line === line + 1) nextEnd++;
+
+  return {
+    syllables: lyrics.slice(start, end),
+    currentId: current?.id ?? null,
+    next: lyrics.slice(end, nextEnd),
+  };
+}
+
+/**
+ * Parse and validate the dynamics sections of a chart
+ * @param {Array|undefined} dynamics - Raw sections as {timeMs, dynamic}
+ * @returns {Array} Sections sorted by timeMs
+ * @throws {Error} If a section is invalid
+ */
+function parseDynamics(dynamics = []) {
+  if (!Array.isArray(dynamics)) {
+    throw new Error('Invalid chart: dynamics must be an array');
+  }
+
+  return dynamics
+    .map((section, index) => {
+      const timeMs = section.timeMs ?? section.time;
+      if (typeof timeMs !== 'number' || timeMs < 0 || !DYNAMICS.includes(section.dynamic)) {
+        throw new Error(`Invalid dynamics at index ${index}`);
+      }
+      return { timeMs, dynamic: section.dynamic };
+    })
+    .sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Find the section dynamic in force at a time
+ * @param {Array} sections - Sections from parseDynamics()
+ * @param {number} timeMs - Note time
+ * @returns {string|null} Dynamic value, or null before the first section
+ */
+function getSectionDynamic(sections, timeMs) {
+  let dynamic = null;
+  for (const section of sections) {
+    if (section.timeMs > timeMs) break;
+    dynamic = section.dynamic;
+  }
+  return dynamic;
+}
+
+/**
+ * Group notes that share a timeMs into chords
+ * Tags each chord note with chordId and chordSize (single notes get
+ * chordId null and chordSize 1).
+ * @param {Array} notes - Notes sorted by timeMs
+ * @returns {Array} Chords as {id, timeMs, noteIds}
+ */
+export function groupChords(notes) {
+  const chords = [];
+  let start = 0;
+
+  while (start < notes.length) {
+    let end = start + 1;
+    while (end < notes.length && notes[end].timeMs === notes[start].timeMs) {
+      end++;
+    }
+
+    const group = notes.slice(start, end);
+    const chordId = group.length > 1 ? `chord-${chords.length}` : null;
+
+    for (const note of group) {
+      note.chordId = chordId;
+      note.chordSize = group.length;
+    }
+    if (chordId) {
+      chords.push({
+        id: chordId,
+        timeMs: group[0].timeMs,
+        noteIds: group.map(n => n.id),
+      });
+    }
+
+    start = end;
+  }
+
+  return chords;
+}
+
 /**
  * Convert simple note array to chart format
  * Useful for converting legacy ["C4", "D4", ...] format
@@ -108,9 +449,30 @@ export function getChartTimeRange(parsedChart) {
   };
 }
 
+/**
+ * Find the first note at or after a time (binary search)
+ * @param {Array} notes - Notes sorted by timeMs
+ * @param {number} timeMs - Song time
+ * @returns {number} Index of the first note with timeMs >= timeMs (notes.length if none)
+ */
+export function findNoteIndex(notes, timeMs) {
+  let low = 0;
+  let high = notes.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (notes[mid].timeMs < timeMs) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
 /**
  * Get notes within a time window (for rendering optimization)
- * @param {Array} notes - Array of notes from parsed chart
+ * Only the notes in the window are looked at, so long charts cost no more.
+ * @param {Array} notes - Array of notes from parsed chart, sorted by timeMs
  * @param {number} currentTimeMs - Current transport time
  * @param {number} lookAheadMs - How far ahead to look (default 3000ms)
  * @param {number} lookBehindMs - How far behind to keep (default 500ms)
@@ -120,7 +482,9 @@ export function getVisibleNotes(notes, currentTimeMs, lookAheadMs = 3000, lookBe
   const minTime = currentTimeMs - lookBehindMs;
   const maxTime = currentTimeMs + lookAheadMs;
 
-  return notes.filter(note =>
-    note.timeMs >= minTime && note.timeMs <= maxTime
-  );
+  const visible = [];
+  for (let i = findNoteIndex(notes, minTime); i < notes.length && notes[i].timeMs <= maxTime; i++) {
+    visible.push(notes[i]);
+  }
+  return visible;
 }
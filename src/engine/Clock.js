@@ -0,0 +1,55 @@
+/**
+ * Clock - Time sources for Transport and frame scheduling for GameEngine
+ *
+ * In the browser time comes from performance.now() and frames from
+ * requestAnimationFrame. Tests and headless simulations inject a
+ * ManualClock and step frames by hand instead.
+ */
+
+/**
+ * Real time clock (default)
+ */
+export const systemClock = {
+  now: () => performance.now(),
+};
+
+/**
+ * Frame scheduler backed by requestAnimationFrame (default)
+ */
+export const animationFrameScheduler = {
+  requestFrame: (callback) => requestAnimationFrame(callback),
+  cancelFrame: (id) => cancelAnimationFrame(id),
+};
+
+/**
+ * Frame scheduler that never schedules; the caller runs update() itself
+ */
+export const manualScheduler = {
+  requestFrame: () => null,
+  cancelFrame: () => {},
+};
+
+/**
+ * Clock that only moves when told to
+ */
+export class ManualClock {
+  constructor(startMs = 0) {
+    this.timeMs = startMs;
+  }
+
+  /**
+   * Get the current time
+   * @returns {number} Time in ms
+   */
+  now() {
+    return this.timeMs;
+  }
+
+  /**
+   * Move time forward
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    this.timeMs += ms;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * DifficultyGenerator - Derive easier charts from one master arrangement
+ *
+ * The master chart is the full arrangement (normally the hard chart).
+ * Easier charts are made from it by these rules, in order:
+ * 1. Remove bass: left-hand notes and notes below middle C are dropped
+ * 2. Drop chords to the top note: the melody usually sits on top
+ * 3. Merge fast repeats: a key struck again sooner than mergeRepeatsMs
+ *    after the previous onset is held instead of played again
+ * 4. Stretch tempo: every time and length is multiplied by tempoScale
+ * Per-note dynamics, hands and fingers are kept; sections and lyrics move
+ * with the stretched tempo. The result is a millisecond chart that
+ * parseChart() reads like a hand-made one.
+ */
+
+import { parseChart, Hand } from './ChartParser.js';
+
+// Notes below this are bass notes
+export const BASS_SPLIT_MIDI = 60;
+
+/**
+ * Rules for each generated difficulty
+ */
+export const DIFFICULTY_RULES = {
+  medium: {
+    removeBass: true,
+    topNoteOnly: false,
+    mergeRepeatsMs: 150,
+    tempoScale: 1,
+  },
+  simple: {
+    removeBass: true,
+    topNoteOnly: true,
+    mergeRepeatsMs: 300,
+    tempoScale: 1.25,
+  },
+};
+
+/**
+ * Generate an easier chart from a master chart
+ * @param {object} masterChart - Raw master chart (milliseconds or beats)
+ * @param {string} difficulty - Key of DIFFICULTY_RULES
+ * @returns {object} Raw chart data for the difficulty
+ * @throws {Error} If the difficulty has no rules or the master chart is invalid
+ */
+export function generateDifficulty(masterChart, difficulty) {
+  const rules = DIFFICULTY_RULES[difficulty];
+  if (!rules) {
+    throw new Error(`Invalid difficulty: "${difficulty}" cannot be generated`);
+  }
+
+  const master = parseChart(masterChart);
+  let notes = master.notes;
+  if (rules.removeBass) notes = removeBassNotes(notes);
+  if (rules.topNoteOnly) notes = dropChordsToTopNote(notes);
+  if (rules.mergeRepeatsMs > 0) notes = mergeFastRepeats(notes, rules.mergeRepeatsMs);
+
+  const scale = (ms) => Math.round(ms * rules.tempoScale);
+  let line = null;
+
+  return {
+    difficulty,
+    notes: notes.map(note => ({
+      timeMs: scale(note.timeMs),
+      midi: note.midi,
+      durationMs: scale(note.durationMs),
+      ...(note.dynamic && { dynamic: note.dynamic }),
+      ...(note.hand !== Hand.RIGHT && { hand: note.hand }),
+      ...(note.finger && { finger: note.finger }),
+    })),
+    sections: master.sections.map(section => ({
+      name: section.name,
+      startMs: scale(section.startMs),
+      endMs: scale(section.endMs),
+    })),
+    lyrics: master.lyrics.map(syllable => {
+      const newLine = line !== null && syllable.line !== line;
+      line = syllable.line;
+      return {
+        timeMs: scale(syllable.timeMs),
+        text: syllable.text,
+        ...(newLine && { newLine }),
+      };
+    }),
+  };
+}
+
+/**
+ * Remove bass notes (left hand, or below BASS_SPLIT_MIDI)
+ * @param {Array} notes - Parsed notes
+ * @returns {Array} Remaining notes
+ */
+export function removeBassNotes(notes) {
+  return notes.filter(note => note.hand !== Hand.LEFT && note.midi >= BASS_SPLIT_MIDI);
+}
+
+/**
+ * Keep only the highest note of each chord
+ * @param {Array} notes - Parsed notes, sorted by timeMs
+ * @returns {Array} One note per onset
+ */
+export function dropChordsToTopNote(notes) {
+  const top = [];
+  for (const note of notes) {
+    const last = top[top.length - 1];
+    if (last && last.timeMs === note.timeMs) {
+      if (note.midi > last.midi) top[top.length - 1] = note;
+    } else {
+      top.push(note);
+    }
+  }
+  return top;
+}
+
+/**
+ * Hold a key through fast repeats instead of striking it again
+ * A note is merged into the previous one of the same pitch when that pitch
+ * was also played at the previous onset, less than mergeMs before. The
+ * held note is lengthened to the end of the merged one, so a run of fast
+ * repeats becomes one long note.
+ * @param {Array} notes - Parsed notes, sorted by timeMs
+ * @param {number} mergeMs - Repeats closer together than this are merged
+ * @returns {Array} Remaining notes (copies; the input is not changed)
+ */
+export function mergeFastRepeats(notes, mergeMs) {
+  const merged = [];
+  let previous = { timeMs: -Infinity, byMidi: new Map() };
+  let onset = null;
+
+  for (const note of notes) {
+    if (!onset || onset.timeMs !== note.timeMs) {
+      if (onset) previous = onset;
+      onset = { timeMs: note.timeMs, byMidi: new Map() };
+    }
+
+    const held = previous.byMidi.get(note.midi);
+    if (held && note.timeMs - previous.timeMs < mergeMs) {
+      held.durationMs = Math.max(held.durationMs, note.timeMs + note.durationMs - held.timeMs);
+      onset.byMidi.set(note.midi, held);
+    } else {
+      const copy = { ...note };
+      merged.push(copy);
+      onset.byMidi.set(note.midi, copy);
+    }
+  }
+
+  return merged;
+}
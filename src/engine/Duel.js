@@ -0,0 +1,269 @@
+/**
+ * Duel - Two players race through the same chart side by side
+ *
+ * Each player has their own GameEngine (and so their own ScoringEngine);
+ * both engines run on one shared Transport, so the highways stay in step.
+ * Key presses are routed to a player by:
+ * - KEYBOARD_HALF: one keyboard split at splitMidi. The left player's keys
+ *   are moved up two octaves, so C2-C3 plays the chart's C4-C5 and both
+ *   halves reach every note of the 60-72 chart range.
+ * - MIDI_DEVICE: one MIDI keyboard per player, matched by device id.
+ * The on-screen keyboards pass the player directly.
+ *
+ * Duels are played in normal mode without loops or adaptive difficulty:
+ * wait mode and tempo changes would move the other player's highway too.
+ */
+
+import { Transport } from './Transport.js';
+import { GameEngine, GameEvent, GameState, PlayMode } from './GameEngine.js';
+import { EventBus } from './EventBus.js';
+
+export const DUEL_PLAYERS = 2;
+
+/**
+ * Ways to split input between the players
+ */
+export const DuelSplit = {
+  KEYBOARD_HALF: 'keyboardHalf',
+  MIDI_DEVICE: 'midiDevice',
+};
+
+// Default keyboard split: keys below middle C belong to player 1
+export const DEFAULT_SPLIT_MIDI = 60;
+
+// How far player 1's keys are moved up in a keyboard-half split. One
+// octave would stop at B4 (71) below the split, so it is two.
+export const LEFT_HALF_SHIFT = 24;
+
+/**
+ * Duel events (payload in brackets)
+ */
+export const DuelEvent = {
+  FINISH: 'finish', // Head-to-head results (see getDuelResults())
+};
+
+/**
+ * Find the player a key press belongs to
+ * @param {number} midiNote - MIDI note number pressed
+ * @param {string|null} deviceId - MIDI device id (null for the computer keyboard)
+ * @param {object} config - {split, splitMidi, devices}
+ *   devices: MIDI device ids in player order (MIDI_DEVICE split)
+ * @returns {object|null} {player, midi} with the note to judge, or null if unrouted
+ */
+export function routeDuelInput(midiNote, deviceId, config) {
+  if (config.split === DuelSplit.MIDI_DEVICE) {
+    const player = (config.devices || []).indexOf(deviceId);
+    return player === -1 ? null : { player, midi: midiNote };
+  }
+
+  const splitMidi = config.splitMidi ?? DEFAULT_SPLIT_MIDI;
+  if (midiNote < splitMidi) {
+    return { player: 0, midi: midiNote + LEFT_HALF_SHIFT };
+  }
+  return { player: 1, midi: midiNote };
+}
+
+/**
+ * Compare two players' summaries
+ * Higher score wins; equal scores go to higher accuracy, then a draw.
+ * @param {Array} summaries - GameEngine.getSummary() of each player
+ * @returns {object} {players, winner (index or null for a draw), margin}
+ */
+export function getDuelResults(summaries) {
+  const [a, b] = summaries;
+  let winner = null;
+  if (a.score !== b.score) {
+    winner = a.score > b.score ? 0 : 1;
+  } else if (a.accuracy !== b.accuracy) {
+    winner = a.accuracy > b.accuracy ? 0 : 1;
+  }
+
+  return {
+    players: summaries.map((summary, player) => ({ ...summary, player })),
+    winner,
+    margin: Math.abs(a.score - b.score),
+  };
+}
+
+/**
+ * Duel controller
+ */
+export class Duel {
+  /**
+   * @param {object} options - {split, splitMidi, devices, clock, scheduler}
+   */
+  constructor(options = {}) {
+    this.transport = new Transport({ clock: options.clock });
+    this.events = new EventBus(Object.values(DuelEvent));
+    this.setInputSplit(options);
+
+    this.players = Array.from({ length: DUEL_PLAYERS }, () => {
+      const engine = new GameEngine({
+        transport: this.transport,
+        scheduler: options.scheduler,
+        mode: PlayMode.NORMAL,
+      });
+      engine.on(GameEvent.FINISH, () => this.checkFinished());
+      return engine;
+    });
+  }
+
+  /**
+   * Choose how key presses are split between the players
+   * @param {object} config - {split, splitMidi, devices} (see routeDuelInput())
+   */
+  setInputSplit(config) {
+    this.inputSplit = {
+      split: config.split || DuelSplit.KEYBOARD_HALF,
+      splitMidi: config.splitMidi ?? DEFAULT_SPLIT_MIDI,
+      devices: config.devices || [],
+    };
+  }
+
+  /**
+   * Subscribe to a duel event
+   * @param {string} type - DuelEvent value
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * Load the same chart for both players
+   * @param {object} chartData - Raw chart data
+   */
+  loadChart(chartData) {
+    this.players.forEach(engine => engine.loadChart(chartData));
+  }
+
+  /**
+   * Set the tempo for both players (they share the transport)
+   * @param {number} rate - Playback rate
+   */
+  setPlaybackRate(rate) {
+    this.players.forEach(engine => engine.setPlaybackRate(rate));
+  }
+
+  /**
+   * Count in before the song starts
+   * @param {number} bars - Bars to count (0 = no count-in)
+   * @param {number} bpm - Song tempo
+   */
+  setCountIn(bars, bpm) {
+    this.players.forEach(engine => engine.setCountIn(bars, bpm));
+  }
+
+  /**
+   * Start both players
+   */
+  start() {
+    this.players.forEach(engine => engine.start());
+  }
+
+  /**
+   * Pause both players
+   */
+  pause() {
+    this.players.forEach(engine => engine.pause());
+  }
+
+  /**
+   * Resume both players
+   */
+  resume() {
+    this.players.forEach(engine => engine.resume());
+  }
+
+  /**
+   * Stop and reset both players
+   */
+  stop() {
+    this.players.forEach(engine => engine.stop());
+    this.transport.stop();
+  }
+
+  /**
+   * Get the duel state (playing until both players have finished)
+   * @returns {string} GameState value
+   */
+  getState() {
+    const states = this.players.map(engine => engine.state);
+    if (states.every(state => state === GameState.FINISHED)) return GameState.FINISHED;
+    if (states.includes(GameState.PAUSED)) return GameState.PAUSED;
+    if (states.includes(GameState.PLAYING)) return GameState.PLAYING;
+    return GameState.IDLE;
+  }
+
+  /**
+   * Route a key press from a keyboard or MIDI device
+   * @param {number} midiNote - MIDI note number
+   * @param {string|null} deviceId - MIDI device id (null for the computer keyboard)
+   * @param {number|null} velocity - MIDI velocity (null for on-screen keys)
+   * @returns {object|null} {player, result}, or null if the key belongs to nobody
+   */
+  handleKeyPress(midiNote, deviceId = null, velocity = null) {
+    const route = routeDuelInput(midiNote, deviceId, this.inputSplit);
+    if (!route) return null;
+    return this.handlePlayerKeyPress(route.player, route.midi, velocity);
+  }
+
+  /**
+   * Route a key release from a keyboard or MIDI device
+   * @param {number} midiNote - MIDI note number
+   * @param {string|null} deviceId - MIDI device id
+   */
+  handleKeyRelease(midiNote, deviceId = null) {
+    const route = routeDuelInput(midiNote, deviceId, this.inputSplit);
+    if (!route) return;
+    this.handlePlayerKeyRelease(route.player, route.midi);
+  }
+
+  /**
+   * Press a key for a known player (e.g. on their own on-screen keyboard)
+   * @param {number} player - Player index
+   * @param {number} midiNote - MIDI note number to judge
+   * @param {number|null} velocity - MIDI velocity (null for on-screen keys)
+   * @returns {object} {player, result}
+   */
+  handlePlayerKeyPress(player, midiNote, velocity = null) {
+    return { player, result: this.players[player].handleKeyPress(midiNote, velocity) };
+  }
+
+  /**
+   * Release a key for a known player
+   * @param {number} player - Player index
+   * @param {number} midiNote - MIDI note number
+   */
+  handlePlayerKeyRelease(player, midiNote) {
+    this.players[player].handleKeyRelease(midiNote);
+  }
+
+  /**
+   * Run one frame for both players (when frames are stepped by hand)
+   */
+  update() {
+    this.players.forEach(engine => {
+      if (engine.state === GameState.PLAYING) engine.update();
+    });
+  }
+
+  /**
+   * Stop the shared transport and publish results once both players are done
+   */
+  checkFinished() {
+    if (this.getState() !== GameState.FINISHED) return;
+
+    this.transport.stop();
+    this.events.emit(DuelEvent.FINISH, this.getResults());
+  }
+
+  /**
+   * Get the head-to-head results
+   * @returns {object} See getDuelResults()
+   */
+  getResults() {
+    return getDuelResults(this.players.map(engine => engine.getSummary()));
+  }
+}
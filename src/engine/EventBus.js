@@ -0,0 +1,96 @@
+/**
+ * EventBus - Subscribe/unsubscribe event dispatch
+ *
+ * The bus only accepts the event types it was created with, so a typo in
+ * a subscription fails loudly instead of never firing:
+ *
+ * const bus = new EventBus(['noteHit', 'noteMiss']);
+ * const off = bus.on('noteHit', (payload) => { ... });
+ * bus.emit('noteHit', { note });
+ * off();
+ *
+ * A handler that throws is reported and skipped; the other handlers and
+ * the emitter keep running (a broken effect must not stop the game loop).
+ */
+
+export class EventBus {
+  /**
+   * @param {Array<string>} types - Event types this bus accepts
+   */
+  constructor(types) {
+    this.handlers = new Map(types.map(type => [type, new Set()]));
+  }
+
+  /**
+   * Get the handlers of an event type
+   * @param {string} type - Event type
+   * @returns {Set<Function>}
+   * @throws {Error} If the type is unknown
+   */
+  getHandlers(type) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    return handlers;
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    this.getHandlers(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe to the next event of a type only
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  once(type, handler) {
+    const off = this.on(type, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    this.getHandlers(type).delete(handler);
+  }
+
+  /**
+   * Call every handler of an event type
+   * @param {string} type - Event type
+   * @param {object} payload - Event data
+   */
+  emit(type, payload) {
+    // Copy so handlers can unsubscribe while the event is dispatched
+    for (const handler of [...this.getHandlers(type)]) {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`Error in ${type} handler:`, err);
+      }
+    }
+  }
+
+  /**
+   * Remove every subscription
+   */
+  clear() {
+    for (const handlers of this.handlers.values()) {
+      handlers.clear();
+    }
+  }
+}
@@ -3,12 +3,42 @@
  *
  * Ties together Transport, HitDetection, and Scoring
  * Uses requestAnimationFrame for smooth 60fps updates
+ * (clock and frame scheduler can be injected, see Clock.js)
+ *
+ * State changes are published as GameEvent events:
+ * const off = engine.on(GameEvent.NOTE_HIT, ({ note, hitResult }) => { ... });
+ *
+ * Notes are kept sorted by time. A cursor marks the first note that may
+ * still be judged (every note before it is done), so frames and key presses
+ * only look at the notes near the playhead, however long the chart is.
  */
 
-import { Transport } from './Transport.js';
-import { ScoringEngine } from './Scoring.js';
-import { classifyHit, isNoteMissed, findBestMatch, HitResult, DEFAULT_HIT_WINDOWS } from './HitDetection.js';
-import { parseChart } from './ChartParser.js';
+import { Transport, MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from './Transport.js';
+import { animationFrameScheduler } from './Clock.js';
+import { ScoringEngine, ScoringMode } from './Scoring.js';
+import {
+  classifyHit,
+  isNoteMissed,
+  findBestMatch,
+  judgeChord,
+  isHoldNote,
+  classifyHold,
+  classifyDynamics,
+  HitResult,
+  DEFAULT_HIT_WINDOWS,
+  DEFAULT_CHORD_SPREAD_MS,
+} from './HitDetection.js';
+import { parseChart, findNoteIndex, getVisibleNotes } from './ChartParser.js';
+import { DEFAULT_LATENCY } from './Calibration.js';
+import { createRecording, InputEventType } from './Recording.js';
+import { EventBus } from './EventBus.js';
+import {
+  ADAPTIVE_CONFIG,
+  ADAPTIVE_LEVELS,
+  AdaptiveReason,
+  chooseAdaptiveLevel,
+  getThinnedNoteIds,
+} from './Adaptive.js';
 
 /**
  * Game states
@@ -20,18 +50,99 @@ export const GameState = {
   FINISHED: 'finished',
 };
 
+/**
+ * Play modes
+ * - NORMAL: Fixed tempo, late notes are missed
+ * - WAIT: The highway stops at each note until the right key is played
+ * - DEMO: The engine plays every note itself (listen first); nothing is
+ *   scored or recorded
+ */
+export const PlayMode = {
+  NORMAL: 'normal',
+  WAIT: 'wait',
+  DEMO: 'demo',
+};
+
+/**
+ * Engine events (payload in brackets)
+ */
+export const GameEvent = {
+  CHART_LOAD: 'chartLoad',             // {chart}
+  START: 'start',                      // {mode, playbackRate, replaying}
+  PAUSE: 'pause',                      // {currentTimeMs}
+  RESUME: 'resume',                    // {currentTimeMs}
+  STOP: 'stop',                        // {}
+  FINISH: 'finish',                    // Score summary
+  UPDATE: 'update',                    // Frame state (see update())
+  NOTE_HIT: 'noteHit',                 // {note, notes?, hitResult, delta, scoreResult}
+  NOTE_MISS: 'noteMiss',               // {note, notes?}
+  WRONG_NOTE: 'wrongNote',             // {midi, expectedNote, delta, policy}
+  NOTE_RELEASE: 'noteRelease',         // {note, holdResult, points}
+  DYNAMICS: 'dynamics',                // {note, velocity, dynamicsResult, points}
+  AUTOPLAY_NOTE: 'autoplayNote',       // {note} - autoplayed note is due to sound (demo, practice hand)
+  STREAK_BREAK: 'streakBreak',         // {streak} - the streak that was lost
+  MULTIPLIER_CHANGE: 'multiplierChange', // {multiplier, previous}
+  WAIT_START: 'waitStart',             // {notes} - highway stopped at these notes
+  WAIT_END: 'waitEnd',                 // {}
+  LOOP_SET: 'loopSet',                 // {startMs, endMs}
+  LOOP_CLEAR: 'loopClear',             // {}
+  LOOP_PASS: 'loopPass',               // Score summary with {pass}
+  SEEK: 'seek',                        // {timeMs} - playhead jumped to this song time
+  COUNT_IN_BEAT: 'countInBeat',        // {beat, beats, beatInBar, isDownbeat}
+  REPLAY_INPUT: 'replayInput',         // Recorded input event
+  ADAPTIVE_CHANGE: 'adaptiveChange',   // Adaptive change (see setAdaptiveLevel()) with {playbackRate}
+};
+
+/**
+ * What a wrong key near an expected note does (normal mode)
+ * - IGNORE: Nothing; the note can still be played
+ * - PENALIZE: Breaks the streak and counts against accuracy; the note can
+ *   still be played (or missed) and is counted once
+ * - CONSUME: The note (or whole chord) is used up and judged WRONG_NOTE
+ * Wait mode always penalizes: the highway waits for the right key.
+ */
+export const WrongNotePolicy = {
+  IGNORE: 'ignore',
+  PENALIZE: 'penalize',
+  CONSUME: 'consume',
+};
+
+// Time shown before the loop start so the player can get ready
+const LOOP_LEAD_IN_MS = 1000;
+
+// Bar length used for the count-in
+export const DEFAULT_BEATS_PER_BAR = 4;
+
+// Autoplayed notes further behind the playhead than this are skipped
+// silently (after a loop jump or a stalled frame)
+const AUTOPLAY_LATE_MS = 150;
+
+// Notes kept in the render state after they pass the hit line (real ms)
+const RENDER_LOOK_BEHIND_MS = 500;
+
 /**
  * Game engine class
  */
 export class GameEngine {
   constructor(options = {}) {
-    this.transport = new Transport();
+    // A shared transport (duel mode) is started by every engine but only
+    // stopped by its owner
+    this.ownsTransport = !options.transport;
+    this.transport = options.transport || new Transport({ clock: options.clock });
+    this.scheduler = options.scheduler || animationFrameScheduler; // {requestFrame, cancelFrame}
     this.scoring = new ScoringEngine();
+    this.events = new EventBus(Object.values(GameEvent));
 
     // Configuration
     this.hitWindows = options.hitWindows || DEFAULT_HIT_WINDOWS;
-    this.lookAheadMs = options.lookAheadMs || 3000; // Notes visible 3s ahead
+    this.chordSpreadMs = options.chordSpreadMs ?? DEFAULT_CHORD_SPREAD_MS;
+    this.lookAheadMs = options.lookAheadMs || 3500; // Notes visible 3.5s ahead, as on the highways
     this.noteSpeedPxPerMs = options.noteSpeedPxPerMs || 0.3; // Pixels per millisecond
+    this.latency = { ...DEFAULT_LATENCY, ...options.latency }; // Device offsets in real ms
+    this.basePlaybackRate = 1; // Chosen tempo; adaptive mode may slow the transport below it
+    this.adaptiveEnabled = options.adaptive ?? false;
+    this.wrongNotePolicy = options.wrongNotePolicy || WrongNotePolicy.PENALIZE;
+    this.practiceHand = options.practiceHand ?? null; // Hand the player plays (null = both)
 
     // State
     this.state = GameState.IDLE;
@@ -39,11 +150,444 @@ export class GameEngine {
     this.notes = [];
     this.animationFrameId = null;
 
-    // Callbacks
-    this.onUpdate = options.onUpdate || (() => {});
-    this.onNoteHit = options.onNoteHit || (() => {});
-    this.onNoteMiss = options.onNoteMiss || (() => {});
-    this.onFinish = options.onFinish || (() => {});
+    // Note index: see copyChartNotes()
+    this.cursor = 0; // First note that may still be judged
+    this.autoplayCursor = 0; // First note not yet reached by autoplay
+    this.chordNotes = new Map(); // chordId -> notes of the chord
+
+    // Wait mode state
+    this.waitingNotes = []; // Notes holding the highway at the hit line
+    this.waitWrongAttempts = 0; // Wrong keys since the last note was played
+
+    // Chords with some keys down, by chordId: {notes, deltas: Map<noteId, delta>, firstPressMs}
+    this.pendingChords = new Map();
+
+    // Hold notes currently held down, by MIDI note
+    this.heldNotes = new Map();
+
+    // Count-in settings and progress
+    this.countInSettings = { bars: 0, bpm: 120, beatsPerBar: DEFAULT_BEATS_PER_BAR };
+    this.countIn = null; // {startMs, endMs, beatMs, beats, played} while counting in
+
+    // A-B loop state
+    this.loop = null; // {startMs, endMs} while looping a section
+    this.loopPasses = []; // Summary of each completed pass
+
+    // Input recording and replay
+    this.recordChartId = null; // Set by enableRecording(); each start() records afresh
+    this.recording = null; // Recording of the current run
+    this.replay = null; // {recording, index} while replaying a recording
+
+    // Adaptive difficulty progress: {level, maxLevel, judgedSinceChange, changes}
+    this.adaptive = null;
+    this.thinnableNoteIds = new Set(); // Chord and bass notes dropped when the song is thinned
+
+    this.setMode(options.mode || PlayMode.NORMAL);
+  }
+
+  /**
+   * Subscribe to an engine event
+   * @param {string} type - GameEvent value
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * Unsubscribe from an engine event
+   * @param {string} type - GameEvent value
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Publish an engine event
+   * @param {string} type - GameEvent value
+   * @param {object} payload - Event data
+   */
+  emit(type, payload = {}) {
+    this.events.emit(type, payload);
+  }
+
+  /**
+   * Score a judged note, publish the streak and multiplier changes it made,
+   * and let adaptive mode react to it
+   * @param {object} note - The note that was judged
+   * @param {Function} record - Calls into this.scoring
+   * @returns {*} Whatever record returns
+   */
+  recordJudgement(note, record) {
+    const streak = this.scoring.streak;
+    const multiplier = this.scoring.getMultiplier();
+
+    const result = record();
+
+    if (streak > 0 && this.scoring.streak === 0) {
+      this.emit(GameEvent.STREAK_BREAK, { streak });
+    }
+    const newMultiplier = this.scoring.getMultiplier();
+    if (newMultiplier !== multiplier) {
+      this.emit(GameEvent.MULTIPLIER_CHANGE, { multiplier: newMultiplier, previous: multiplier });
+    }
+
+    this.adaptDifficulty(note.timeMs);
+
+    return result;
+  }
+
+  /**
+   * Describe a judged note for the scoring engine (mistakes, sections)
+   * @param {object} note - The note that was judged
+   * @param {number|null} actualMidi - Key that was pressed (null if never played)
+   * @param {number|null} deltaMs - Press offset from the note in song ms (null if never played)
+   * @returns {object} {noteId, expectedMidi, actualMidi, deltaMs, sectionId}; deltaMs is
+   *   in real ms, so timing feedback means the same at every playback rate
+   */
+  getNoteInfo(note, actualMidi, deltaMs) {
+    return {
+      noteId: note.id,
+      expectedMidi: note.midi,
+      actualMidi,
+      deltaMs: deltaMs === null ? null : deltaMs / this.transport.playbackRate,
+      sectionId: note.sectionId ?? null,
+    };
+  }
+
+  /**
+   * Set the play mode (takes effect from the next start)
+   * @param {string} mode - PlayMode value
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.scoring.setMode(mode === PlayMode.WAIT ? ScoringMode.ATTEMPTS : ScoringMode.TIMING);
+  }
+
+  /**
+   * Set the tempo as a fraction of the chart tempo (0.5 - 1.5)
+   * @param {number} rate - Playback rate
+   */
+  setPlaybackRate(rate) {
+    this.basePlaybackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+    this.transport.setPlaybackRate(this.basePlaybackRate * this.getAdaptiveLevel().rateScale);
+  }
+
+  /**
+   * Choose what a wrong key near an expected note does
+   * @param {string} policy - WrongNotePolicy value
+   */
+  setWrongNotePolicy(policy) {
+    this.wrongNotePolicy = policy;
+  }
+
+  /**
+   * Practice one hand while the engine plays the other (takes effect from the next start)
+   * @param {string|null} hand - Hand value to play, or null for both hands
+   */
+  setPracticeHand(hand) {
+    this.practiceHand = hand;
+  }
+
+  /**
+   * Get the hand being practiced on the loaded chart
+   * Charts with one hand only are played normally.
+   * @returns {string|null} Hand value, or null when playing both hands
+   */
+  getPracticeHand() {
+    if (!this.chart || this.chart.hands.length < 2) return null;
+    return this.practiceHand;
+  }
+
+  /**
+   * Check if the engine plays any notes itself
+   * @returns {boolean}
+   */
+  hasAutoplay() {
+    return this.mode === PlayMode.DEMO || this.getPracticeHand() !== null;
+  }
+
+  /**
+   * Mark the notes the engine plays itself: every note in demo mode,
+   * otherwise the other hand's notes when practicing one hand.
+   * Autoplayed notes are skipped like thinned chord notes: marked hit
+   * without a result and never scored.
+   */
+  applyAutoplay() {
+    const demo = this.mode === PlayMode.DEMO;
+    const hand = this.getPracticeHand();
+    for (const note of this.notes) {
+      note.autoplay = demo || (hand !== null && note.hand !== hand);
+      note.autoPlayed = false;
+      if (note.autoplay) note.hit = true;
+    }
+    this.autoplayCursor = 0;
+    // Thin only what the player plays, so a left-hand part keeps its notes
+    this.thinnableNoteIds = getThinnedNoteIds(this.notes.filter(n => !n.autoplay));
+  }
+
+  /**
+   * Play the autoplayed notes that are due
+   * Like the count-in, this follows the transport rather than the playhead:
+   * the sound reaches the player audioOffsetMs late, in time with the note
+   * crossing the hit line.
+   * @param {number} currentTime - Current transport time
+   */
+  updateAutoplay(currentTime) {
+    while (this.autoplayCursor < this.notes.length &&
+           this.notes[this.autoplayCursor].timeMs <= currentTime) {
+      const note = this.notes[this.autoplayCursor++];
+      if (!note.autoplay || note.autoPlayed) continue;
+
+      note.autoPlayed = true;
+      if (currentTime - note.timeMs <= AUTOPLAY_LATE_MS) {
+        this.emit(GameEvent.AUTOPLAY_NOTE, { note });
+      }
+    }
+  }
+
+  /**
+   * Turn adaptive difficulty on or off (takes effect from the next start)
+   * @param {boolean} enabled - Adapt hit windows, tempo and chords to the player
+   */
+  setAdaptive(enabled) {
+    this.adaptiveEnabled = enabled;
+  }
+
+  /**
+   * Get the adjustments of the current adaptive level
+   * @returns {object} {level, windowScale, rateScale, thinChords}
+   */
+  getAdaptiveLevel() {
+    return ADAPTIVE_LEVELS[this.adaptive?.level ?? 0];
+  }
+
+  /**
+   * Start adaptive mode at level 0 and undo any adjustments
+   */
+  resetAdaptive() {
+    for (const note of this.notes) {
+      if (note.thinned) {
+        note.hit = false;
+        note.thinned = false;
+      }
+    }
+    this.rewindCursors(0);
+    this.adaptive = this.adaptiveEnabled
+      ? { level: 0, maxLevel: 0, judgedSinceChange: 0, changes: [] }
+      : null;
+    this.transport.setPlaybackRate(this.basePlaybackRate);
+  }
+
+  /**
+   * Check the rolling accuracy after a judgement and change level if needed
+   * @param {number} timeMs - Chart time of the judged note
+   */
+  adaptDifficulty(timeMs) {
+    if (!this.adaptive) return;
+
+    const { windowNotes } = ADAPTIVE_CONFIG;
+    this.adaptive.judgedSinceChange++;
+    if (this.adaptive.judgedSinceChange < windowNotes) return;
+
+    const accuracy = this.scoring.getRollingAccuracy(windowNotes);
+    const level = chooseAdaptiveLevel(this.adaptive.level, accuracy);
+    if (level !== this.adaptive.level) {
+      this.setAdaptiveLevel(level, timeMs);
+    }
+  }
+
+  /**
+   * Apply an adaptive level
+   * Hit windows and tempo change at once; chords are thinned or restored
+   * from leadMs after the judged note, so notes do not vanish at the hit line.
+   * @param {number} level - Index into ADAPTIVE_LEVELS
+   * @param {number} timeMs - Chart time of the note that triggered the change
+   */
+  setAdaptiveLevel(level, timeMs) {
+    const previous = this.adaptive.level;
+    const adjustment = ADAPTIVE_LEVELS[level];
+
+    this.adaptive.level = level;
+    this.adaptive.maxLevel = Math.max(this.adaptive.maxLevel, level);
+    this.adaptive.judgedSinceChange = 0;
+
+    this.transport.setPlaybackRate(this.basePlaybackRate * adjustment.rateScale);
+    this.setChordThinning(adjustment.thinChords, timeMs + ADAPTIVE_CONFIG.leadMs);
+
+    const change = {
+      ...adjustment,
+      previous,
+      reason: level > previous ? AdaptiveReason.STRUGGLING : AdaptiveReason.IMPROVING,
+      timeMs,
+    };
+    this.adaptive.changes.push(change);
+    this.emit(GameEvent.ADAPTIVE_CHANGE, { ...change, playbackRate: this.transport.playbackRate });
+  }
+
+  /**
+   * Drop or restore the lower notes of chords and the bass notes
+   * Dropped notes are skipped: marked hit without a result, never scored.
+   * @param {boolean} thin - True to drop, false to restore
+   * @param {number} fromMs - Only notes at or after this time change
+   */
+  setChordThinning(thin, fromMs) {
+    for (const note of this.notes) {
+      if (note.timeMs < fromMs || !this.thinnableNoteIds.has(note.id)) continue;
+
+      if (thin && !note.hit) {
+        note.hit = true;
+        note.thinned = true;
+      } else if (!thin && note.thinned) {
+        note.hit = false;
+        note.thinned = false;
+      }
+    }
+    this.rewindCursors(fromMs);
+  }
+
+  /**
+   * Count in before the song starts
+   * Beat charts ignore bpm and beatsPerBar and count in at their own tempo.
+   * @param {number} bars - Bars to count (0 = no count-in)
+   * @param {number} bpm - Song tempo in beats per minute
+   * @param {number} beatsPerBar - Beats in one bar (default 4)
+   */
+  setCountIn(bars, bpm, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+    this.countInSettings = { bars, bpm, beatsPerBar };
+  }
+
+  /**
+   * Set device latency offsets (from the calibration wizard)
+   * @param {object} offsets - {inputOffsetMs, audioOffsetMs} in real ms
+   */
+  setLatencyOffsets(offsets) {
+    this.latency = { ...DEFAULT_LATENCY, ...offsets };
+  }
+
+  /**
+   * Get the song time the player currently sees and hears
+   * Sound reaches the player audioOffsetMs late, so the highway runs that
+   * far behind the transport to stay in sync with it.
+   * @param {number} transportMs - Transport time (defaults to now)
+   * @returns {number} Playhead in song ms
+   */
+  getPlayheadMs(transportMs = this.transport.getCurrentTimeMs()) {
+    const audioOffset = this.latency.audioOffsetMs * this.transport.playbackRate;
+    return transportMs - audioOffset;
+  }
+
+  /**
+   * Get the song time at which a key press arriving now was really played
+   * @param {number} transportMs - Transport time the press arrived (defaults to now)
+   * @returns {number} Press time in song ms
+   */
+  getInputTimeMs(transportMs = this.transport.getCurrentTimeMs()) {
+    const inputOffset = this.latency.inputOffsetMs * this.transport.playbackRate;
+    return this.getPlayheadMs(transportMs) - inputOffset;
+  }
+
+  /**
+   * Move the transport so the playhead lands on a song time
+   * @param {number} timeMs - Playhead target in song ms
+   */
+  seekPlayheadTo(timeMs) {
+    this.transport.seekTo(timeMs + this.latency.audioOffsetMs * this.transport.playbackRate);
+  }
+
+  /**
+   * Get hit windows in song time for the current playback rate
+   * The windows are defined in real time, so at half speed they cover
+   * half as much of the song. Adaptive mode may widen them.
+   * @returns {object} {perfect, great, good} in song ms
+   */
+  getHitWindows() {
+    const scale = this.transport.playbackRate * this.getAdaptiveLevel().windowScale;
+    return Object.fromEntries(
+      Object.entries(this.hitWindows).map(([rating, ms]) => [rating, ms * scale])
+    );
+  }
+
+  /**
+   * Set how close together the keys of a chord must be pressed
+   * @param {number} spreadMs - Max time between first and last key (real ms)
+   */
+  setChordSpread(spreadMs) {
+    this.chordSpreadMs = spreadMs;
+  }
+
+  /**
+   * Get the chord spread window scaled to song time
+   * @returns {number} Spread in song ms
+   */
+  getChordSpreadMs() {
+    return this.chordSpreadMs * this.transport.playbackRate;
+  }
+
+  /**
+   * Get the settings that affect judgement (stored with recordings)
+   * @returns {object}
+   */
+  getSettings() {
+    return {
+      mode: this.mode,
+      playbackRate: this.basePlaybackRate,
+      latency: { ...this.latency },
+      hitWindows: { ...this.hitWindows },
+      chordSpreadMs: this.chordSpreadMs,
+      countIn: { ...this.countInSettings },
+      adaptive: this.adaptiveEnabled,
+      wrongNotePolicy: this.wrongNotePolicy,
+      practiceHand: this.practiceHand,
+    };
+  }
+
+  /**
+   * Apply settings from getSettings()
+   * @param {object} settings - Engine settings
+   */
+  applySettings(settings) {
+    this.setMode(settings.mode);
+    this.setPlaybackRate(settings.playbackRate);
+    this.setLatencyOffsets(settings.latency);
+    this.hitWindows = { ...settings.hitWindows };
+    this.setChordSpread(settings.chordSpreadMs);
+    this.countInSettings = { ...settings.countIn };
+    // Older recordings have no adaptive flag, wrong-note policy or practice hand
+    this.setAdaptive(settings.adaptive ?? false);
+    this.setWrongNotePolicy(settings.wrongNotePolicy ?? WrongNotePolicy.PENALIZE);
+    this.setPracticeHand(settings.practiceHand ?? null);
+  }
+
+  /**
+   * Get the score summary with the settings it was played with
+   * @returns {object}
+   */
+  getSummary() {
+    return {
+      ...this.scoring.getSummary(),
+      playbackRate: this.basePlaybackRate,
+      adaptive: this.getAdaptiveSummary(),
+      practiceHand: this.getPracticeHand(),
+      playMode: this.mode,
+    };
+  }
+
+  /**
+   * Get the adaptive adjustments made during the run
+   * @returns {object|null} {level, maxLevel, changes, thinnedNotes}, or null when off
+   */
+  getAdaptiveSummary() {
+    if (!this.adaptive) return null;
+
+    return {
+      level: this.adaptive.level,
+      maxLevel: this.adaptive.maxLevel,
+      changes: this.adaptive.changes.map(change => ({ ...change })),
+      thinnedNotes: this.notes.filter(n => n.thinned).length,
+    };
   }
 
   /**
@@ -52,9 +596,20 @@ export class GameEngine {
    */
   loadChart(chartData) {
     this.chart = parseChart(chartData);
-    this.notes = this.chart.notes.map(note => ({ ...note, hit: false, hitResult: null }));
-    this.scoring.reset();
+    this.copyChartNotes();
+    this.thinnableNoteIds = getThinnedNoteIds(this.notes);
+    this.scoring.setSections(this.chart.sections);
+    this.resetAdaptive();
+    this.clearWait();
+    this.clearHolds();
+    this.pendingChords.clear();
+    this.loop = null;
+    this.loopPasses = [];
+    this.countIn = null;
+    this.recording = null;
+    this.replay = null;
     this.state = GameState.IDLE;
+    this.emit(GameEvent.CHART_LOAD, { chart: this.chart });
   }
 
   /**
@@ -65,11 +620,183 @@ export class GameEngine {
       throw new Error('No chart loaded');
     }
 
+    if (this.replay) {
+      // Play back with the settings the run was recorded with
+      this.applySettings(this.replay.recording.settings);
+      this.replay.index = 0;
+    } else if (this.recordChartId) {
+      // A demo has no player input worth keeping
+      this.recording = this.mode === PlayMode.DEMO
+        ? null
+        : createRecording(this.recordChartId, this.getSettings());
+    }
+    this.resetAdaptive();
+    this.applyAutoplay();
+
     this.transport.start();
     this.state = GameState.PLAYING;
+    this.emit(GameEvent.START, {
+      mode: this.mode,
+      playbackRate: this.transport.playbackRate,
+      replaying: this.isReplaying(),
+    });
+    this.startCountIn();
     this.startGameLoop();
   }
 
+  /**
+   * Record every input of each run from now on
+   * @param {string} chartId - Chart id stored with the recording (see getChartId())
+   */
+  enableRecording(chartId) {
+    this.recordChartId = chartId;
+  }
+
+  /**
+   * Get the recording of the current (or last) run
+   * @returns {object|null} Recording, or null if recording is off
+   */
+  getRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Replay a recording on the next start()
+   * Live key presses are ignored while replaying.
+   * @param {object} recording - Recording from getRecording() or parseRecording()
+   */
+  loadReplay(recording) {
+    this.replay = { recording, index: 0 };
+  }
+
+  /**
+   * Check if the engine is playing back a recording
+   * @returns {boolean}
+   */
+  isReplaying() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Add an input event to the current recording
+   * @param {string} type - InputEventType value
+   * @param {object} data - Event data (midi, startMs, ...)
+   * @param {number} transportMs - Transport time of the event
+   */
+  recordInput(type, data, transportMs = this.transport.getCurrentTimeMs()) {
+    if (!this.recording) return;
+    this.recording.events.push({ type, ...data, timeMs: transportMs });
+  }
+
+  /**
+   * Feed recorded events that are due back into the engine
+   * Events are applied at their recorded transport time, so judgement does
+   * not depend on when the frames fall.
+   */
+  updateReplay() {
+    const { events } = this.replay.recording;
+    const now = this.transport.getCurrentTimeMs();
+
+    while (this.replay.index < events.length) {
+      const event = events[this.replay.index];
+      // Loop wraps come from the engine itself (see completeLoopPass)
+      if (event.type === InputEventType.LOOP_PASS || event.timeMs > now) break;
+
+      this.replay.index++;
+      this.applyInputEvent(event);
+      this.emit(GameEvent.REPLAY_INPUT, event);
+    }
+  }
+
+  /**
+   * Apply one recorded input event
+   * @param {object} event - Event from a recording
+   */
+  applyInputEvent(event) {
+    switch (event.type) {
+      case InputEventType.PRESS:
+        this.pressKey(event.midi, event.timeMs, event.velocity ?? null);
+        break;
+      case InputEventType.RELEASE:
+        this.releaseKey(event.midi, event.timeMs);
+        break;
+      case InputEventType.SET_LOOP:
+        this.setLoop(event.startMs, event.endMs);
+        break;
+      case InputEventType.CLEAR_LOOP:
+        this.clearLoop(event.timeMs);
+        break;
+      case InputEventType.SEEK:
+        this.seek(event.toMs, event.timeMs);
+        break;
+    }
+  }
+
+  /**
+   * Rewind the playhead so the count-in plays ahead of a point in the song
+   * @param {number} atMs - Song time the count-in leads into (0 = first note)
+   */
+  startCountIn(atMs = 0) {
+    const { bars } = this.countInSettings;
+    let { bpm, beatsPerBar } = this.countInSettings;
+    const tempoMap = this.chart?.tempoMap;
+    if (tempoMap) {
+      // Beat charts count in at their own meter and the tempo at atMs
+      beatsPerBar = this.chart.timeSignature.beatsPerBar;
+      for (const change of tempoMap) {
+        if (change.timeMs > atMs) break;
+        bpm = change.bpm;
+      }
+    }
+    if (!(bars > 0 && bpm > 0)) return;
+
+    const beatMs = 60000 / bpm;
+    const beats = bars * beatsPerBar;
+    const startMs = atMs - beats * beatMs;
+
+    this.countIn = { startMs, endMs: atMs, beatMs, beats, beatsPerBar, played: 0 };
+    this.seekPlayheadTo(startMs);
+  }
+
+  /**
+   * Emit count-in beats as they come due
+   * Beats follow the transport rather than the playhead, so the clicks are
+   * heard (after audio latency) in time with the highway.
+   */
+  updateCountIn() {
+    const countIn = this.countIn;
+    const transportTime = this.transport.getCurrentTimeMs();
+
+    while (countIn.played < countIn.beats &&
+           transportTime >= countIn.startMs + countIn.played * countIn.beatMs) {
+      const beatInBar = (countIn.played % countIn.beatsPerBar) + 1;
+      countIn.played++;
+      this.emit(GameEvent.COUNT_IN_BEAT, {
+        beat: countIn.played,
+        beats: countIn.beats,
+        beatInBar,
+        isDownbeat: beatInBar === 1,
+      });
+    }
+
+    if (countIn.played === countIn.beats && this.getPlayheadMs() >= countIn.endMs) {
+      this.countIn = null;
+    }
+  }
+
+  /**
+   * Get count-in progress for rendering
+   * @returns {object|null} {beatInBar, beatsLeft}, or null when not counting in
+   */
+  getCountInStatus() {
+    if (!this.countIn || this.countIn.played === 0) return null;
+
+    return {
+      beatInBar: ((this.countIn.played - 1) % this.countIn.beatsPerBar) + 1,
+      beatsLeft: this.countIn.beats - this.countIn.played,
+    };
+  }
+
   /**
    * Pause the game
    */
@@ -77,28 +804,41 @@ export class GameEngine {
     this.transport.pause();
     this.state = GameState.PAUSED;
     this.stopGameLoop();
+    this.emit(GameEvent.PAUSE, { currentTimeMs: this.getPlayheadMs() });
   }
 
   /**
    * Resume from pause
    */
   resume() {
-    this.transport.start();
+    // While waiting for a note the transport stays frozen
+    if (!this.isWaiting()) {
+      this.transport.start();
+    }
     this.state = GameState.PLAYING;
     this.startGameLoop();
+    this.emit(GameEvent.RESUME, { currentTimeMs: this.getPlayheadMs() });
   }
 
   /**
    * Stop and reset the game
    */
   stop() {
-    this.transport.stop();
+    if (this.ownsTransport) this.transport.stop();
     this.state = GameState.IDLE;
     this.stopGameLoop();
     if (this.chart) {
-      this.notes = this.chart.notes.map(note => ({ ...note, hit: false, hitResult: null }));
+      this.copyChartNotes();
     }
     this.scoring.reset();
+    this.resetAdaptive();
+    this.clearWait();
+    this.clearHolds();
+    this.pendingChords.clear();
+    this.loop = null;
+    this.loopPasses = [];
+    this.countIn = null;
+    this.emit(GameEvent.STOP);
   }
 
   /**
@@ -109,33 +849,289 @@ export class GameEngine {
     this.start();
   }
 
+  /**
+   * Loop a section of the song
+   * Each pass is scored separately; only notes inside the loop are judged.
+   * A loop set during the count-in (section practice) is counted in at the
+   * loop start instead of the song start.
+   * @param {number} startMs - Loop start (A) in ms
+   * @param {number} endMs - Loop end (B) in ms
+   */
+  setLoop(startMs, endMs) {
+    if (!this.chart) {
+      throw new Error('No chart loaded');
+    }
+    if (!(startMs >= 0 && endMs > startMs)) {
+      throw new Error('Invalid loop: end must be after start');
+    }
+
+    this.recordInput(InputEventType.SET_LOOP, { startMs, endMs });
+    const countingIn = this.countIn !== null;
+    this.loop = { startMs, endMs };
+    this.loopPasses = [];
+    this.emit(GameEvent.LOOP_SET, { startMs, endMs });
+    this.startLoopPass();
+    if (countingIn) {
+      this.startCountIn(startMs);
+    }
+  }
+
+  /**
+   * Stop looping and continue the song from the current position
+   * Notes already behind the playhead are skipped, not missed.
+   * @param {number} transportMs - Transport time of the request (defaults to now)
+   */
+  clearLoop(transportMs = this.transport.getCurrentTimeMs()) {
+    if (!this.loop) return;
+
+    this.recordInput(InputEventType.CLEAR_LOOP, {}, transportMs);
+    this.loop = null;
+    this.loopPasses = [];
+    this.scoring.reset();
+    this.skipNotesBefore(this.getPlayheadMs(transportMs));
+    this.emit(GameEvent.LOOP_CLEAR);
+  }
+
+  /**
+   * Check if a note is inside the current loop (always true when not looping)
+   * @param {object} note - Chart note
+   * @returns {boolean}
+   */
+  isInLoop(note) {
+    return !this.loop || (note.timeMs >= this.loop.startMs && note.timeMs < this.loop.endMs);
+  }
+
+  /**
+   * Reset the loop's notes and score, then jump back to the loop start
+   */
+  startLoopPass() {
+    for (const note of this.notes) {
+      if (this.isInLoop(note)) {
+        this.resetNote(note);
+      }
+    }
+    this.rewindCursors(this.loop.startMs);
+    this.scoring.reset();
+    this.clearWait();
+    this.clearHolds();
+    this.pendingChords.clear();
+    this.countIn = null;
+
+    this.seekPlayheadTo(Math.max(0, this.loop.startMs - LOOP_LEAD_IN_MS));
+    if (this.state === GameState.PLAYING) {
+      // Un-freeze in case wait mode was holding the highway
+      this.transport.start();
+    }
+  }
+
+  /**
+   * Record the finished pass and start the next one
+   */
+  completeLoopPass() {
+    const pass = {
+      pass: this.loopPasses.length + 1,
+      ...this.getSummary(),
+    };
+    this.loopPasses.push(pass);
+    this.emit(GameEvent.LOOP_PASS, pass);
+
+    this.recordInput(InputEventType.LOOP_PASS, {});
+    if (this.replay) {
+      // Drop the recorded events up to the matching wrap
+      const { events } = this.replay.recording;
+      const wrap = events.findIndex((event, i) =>
+        i >= this.replay.index && event.type === InputEventType.LOOP_PASS
+      );
+      this.replay.index = wrap === -1 ? events.length : wrap + 1;
+    }
+
+    this.startLoopPass();
+  }
+
+  /**
+   * Make fresh, unplayed copies of the chart's notes and index them
+   */
+  copyChartNotes() {
+    this.notes = this.chart.notes.map(note => ({ ...note, hit: false, hitResult: null }));
+    this.chordNotes = new Map();
+    for (const note of this.notes) {
+      if (!note.chordId) continue;
+      if (!this.chordNotes.has(note.chordId)) {
+        this.chordNotes.set(note.chordId, []);
+      }
+      this.chordNotes.get(note.chordId).push(note);
+    }
+    this.cursor = 0;
+    this.autoplayCursor = 0;
+  }
+
+  /**
+   * Move the cursors back so notes from a time on are looked at again
+   * Must be called whenever notes are made playable again.
+   * @param {number} timeMs - Time of the earliest note that changed
+   */
+  rewindCursors(timeMs) {
+    const index = findNoteIndex(this.notes, timeMs);
+    this.cursor = Math.min(this.cursor, index);
+    this.autoplayCursor = Math.min(this.autoplayCursor, index);
+  }
+
+  /**
+   * Get the index of the first note that may still be judged
+   * Moves the cursor past finished notes; while looping, starts at the loop.
+   * @returns {number} Index into this.notes (notes.length once all are done)
+   */
+  getJudgeIndex() {
+    while (this.cursor < this.notes.length && this.notes[this.cursor].hit) {
+      this.cursor++;
+    }
+    if (!this.loop) return this.cursor;
+    return Math.max(this.cursor, findNoteIndex(this.notes, this.loop.startMs));
+  }
+
+  /**
+   * Get the unplayed notes (in the current loop) within a time range
+   * @param {number} fromMs - Earliest note time
+   * @param {number} toMs - Latest note time
+   * @returns {Array} Notes in time order
+   */
+  getOpenNotes(fromMs, toMs) {
+    const notes = [];
+    const start = Math.max(this.getJudgeIndex(), findNoteIndex(this.notes, fromMs));
+    for (let i = start; i < this.notes.length && this.notes[i].timeMs <= toMs; i++) {
+      const note = this.notes[i];
+      if (!note.hit && this.isInLoop(note)) notes.push(note);
+    }
+    return notes;
+  }
+
+  /**
+   * Make a note playable again
+   * @param {object} note - Note from this.notes
+   */
+  resetNote(note) {
+    note.hit = Boolean(note.thinned || note.autoplay); // Skipped notes stay skipped
+    note.autoPlayed = false;
+    note.hitResult = null;
+    note.holdResult = null;
+    note.dynamicsResult = null;
+    note.offsetMs = null;
+  }
+
+  /**
+   * Jump to a song time (scrubbing the progress bar)
+   * Notes from the target on are reset so they can be played again; unplayed
+   * notes before it are skipped, not missed. The score starts afresh, so the
+   * summary covers the song from the last seek. Seeking ends a loop.
+   * @param {number} timeMs - Playhead target in song ms (clamped to the song)
+   * @param {number} transportMs - Transport time of the request (defaults to now)
+   */
+  seek(timeMs, transportMs = this.transport.getCurrentTimeMs()) {
+    if (!this.chart) {
+      throw new Error('No chart loaded');
+    }
+    if (this.state !== GameState.PLAYING && this.state !== GameState.PAUSED) return;
+
+    const toMs = Math.max(0, Math.min(timeMs, this.chart.duration));
+    this.clearLoop(transportMs);
+    this.recordInput(InputEventType.SEEK, { toMs }, transportMs);
+
+    for (const note of this.notes) {
+      if (note.timeMs >= toMs) {
+        this.resetNote(note);
+      }
+    }
+    this.rewindCursors(toMs);
+    this.skipNotesBefore(toMs);
+    this.scoring.reset();
+    this.clearWait();
+    this.clearHolds();
+    this.pendingChords.clear();
+    this.countIn = null;
+
+    this.seekPlayheadTo(toMs);
+    if (this.state === GameState.PLAYING) {
+      // Un-freeze in case wait mode was holding the highway
+      this.transport.start();
+    }
+    this.emit(GameEvent.SEEK, { timeMs: toMs });
+  }
+
+  /**
+   * Mark every unplayed note before a time as skipped (no score, no miss)
+   * @param {number} timeMs - Notes before this time are skipped
+   */
+  skipNotesBefore(timeMs) {
+    for (const note of this.notes) {
+      if (!note.hit && note.timeMs < timeMs) {
+        note.hit = true;
+        note.hitResult = null;
+      }
+    }
+    for (const [chordId, pending] of this.pendingChords) {
+      if (pending.notes[0].timeMs < timeMs) {
+        this.pendingChords.delete(chordId);
+      }
+    }
+  }
+
   /**
    * Handle a key press (from keyboard or MIDI)
    * @param {number} midiNote - MIDI note number
+   * @param {number|null} velocity - MIDI velocity (null for on-screen keys)
    * @returns {object|null} Hit result or null if no match
    */
-  handleKeyPress(midiNote) {
-    if (this.state !== GameState.PLAYING) return null;
+  handleKeyPress(midiNote, velocity = null) {
+    // Keys played along with a demo are not judged
+    if (this.state !== GameState.PLAYING || this.replay || this.mode === PlayMode.DEMO) return null;
 
-    const currentTime = this.transport.getCurrentTimeMs();
-    const activeNotes = this.notes.filter(n => !n.hit);
+    const transportMs = this.transport.getCurrentTimeMs();
+    const data = velocity === null ? { midi: midiNote } : { midi: midiNote, velocity };
+    this.recordInput(InputEventType.PRESS, data, transportMs);
+    return this.pressKey(midiNote, transportMs, velocity);
+  }
 
-    const match = findBestMatch(midiNote, currentTime, activeNotes, this.hitWindows);
+  /**
+   * Judge a key press that arrived at a given transport time
+   * @param {number} midiNote - MIDI note number
+   * @param {number} transportMs - Transport time the press arrived
+   * @param {number|null} velocity - MIDI velocity (null for on-screen keys)
+   * @returns {object|null} Hit result or null if no match
+   */
+  pressKey(midiNote, transportMs, velocity = null) {
+    const currentTime = this.getInputTimeMs(transportMs);
+
+    // Settle holds and chords that ran out before this press
+    this.updateHolds(currentTime);
+    this.updateChords(currentTime);
+
+    if (this.mode === PlayMode.WAIT) {
+      return this.handleWaitKeyPress(midiNote, currentTime, velocity);
+    }
+
+    const windows = this.getHitWindows();
+    const activeNotes = this.getOpenNotes(currentTime - windows.good, currentTime + windows.good);
+
+    const match = findBestMatch(midiNote, currentTime, activeNotes, windows);
+
+    if (match && match.note.chordId) {
+      return this.pressChordNote(match.note, midiNote, currentTime, velocity);
+    }
 
     if (match) {
       // Mark note as hit
       match.note.hit = true;
       match.note.hitResult = match.hitResult;
+      match.note.offsetMs = match.delta;
+      this.startHold(match.note);
 
       // Update score
-      const scoreResult = this.scoring.recordHit(match.hitResult, {
-        noteId: match.note.id,
-        expectedMidi: match.note.midi,
-        actualMidi: midiNote,
-        deltaMs: match.delta,
-      });
+      const scoreResult = this.recordJudgement(match.note, () =>
+        this.scoring.recordHit(match.hitResult, this.getNoteInfo(match.note, midiNote, match.delta))
+      );
+      const dynamicsResult = this.judgeDynamics(match.note, velocity);
 
-      this.onNoteHit({
+      this.emit(GameEvent.NOTE_HIT, {
         note: match.note,
         hitResult: match.hitResult,
         delta: match.delta,
@@ -146,27 +1142,366 @@ export class GameEngine {
         hitResult: match.hitResult,
         note: match.note,
         scoreResult,
+        dynamicsResult,
       };
     }
 
     // Wrong note pressed - find if there was a nearby expected note
     const nearbyNote = activeNotes.find(n =>
-      Math.abs(currentTime - n.timeMs) <= this.hitWindows.good
+      Math.abs(currentTime - n.timeMs) <= windows.good
     );
 
     if (nearbyNote) {
       // Wrong note when a different note was expected
-      this.scoring.recordHit(HitResult.WRONG_NOTE, {
-        noteId: nearbyNote.id,
-        expectedMidi: nearbyNote.midi,
-        actualMidi: midiNote,
-        deltaMs: Math.abs(currentTime - nearbyNote.timeMs),
+      return this.handleWrongNote(midiNote, nearbyNote, currentTime - nearbyNote.timeMs);
+    }
+
+    return null;
+  }
+
+  /**
+   * Judge how loudly a played note was pressed against its dynamics mark
+   * Unmarked notes and input without velocity are not judged.
+   * @param {object} note - Note that was played
+   * @param {number|null} velocity - MIDI velocity of the key press
+   * @returns {string|null} DynamicsResult value, or null if not judged
+   */
+  judgeDynamics(note, velocity) {
+    const dynamicsResult = classifyDynamics(velocity, note.dynamic);
+    if (!dynamicsResult) return null;
+
+    note.dynamicsResult = dynamicsResult;
+    const { points } = this.scoring.recordDynamics(dynamicsResult);
+    this.emit(GameEvent.DYNAMICS, { note, velocity, dynamicsResult, points });
+    return dynamicsResult;
+  }
+
+  /**
+   * Apply the wrong-note policy to a wrong key near an expected note
+   * @param {number} midiNote - MIDI note number pressed
+   * @param {object} expectedNote - Unplayed note within the good window
+   * @param {number} delta - Signed offset from the expected note
+   * @returns {object|null} {hitResult: WRONG_NOTE, note, consumed, scoreResult}, or null when ignored
+   */
+  handleWrongNote(midiNote, expectedNote, delta) {
+    const policy = this.wrongNotePolicy;
+    const mistake = this.getNoteInfo(expectedNote, midiNote, delta);
+    let result = null;
+
+    if (policy === WrongNotePolicy.PENALIZE) {
+      this.recordJudgement(expectedNote, () => this.scoring.recordWrongAttempt(mistake));
+      result = { hitResult: HitResult.WRONG_NOTE, note: expectedNote, consumed: false };
+    } else if (policy === WrongNotePolicy.CONSUME) {
+      // Use up the note, or every key of its chord
+      const notes = expectedNote.chordId ? this.getChordNotes(expectedNote.chordId) : [expectedNote];
+      this.pendingChords.delete(expectedNote.chordId);
+      for (const note of notes) {
+        note.hit = true;
+        note.hitResult = HitResult.WRONG_NOTE;
+        note.offsetMs = null;
+        if (this.heldNotes.get(note.midi) === note) {
+          // Keys of a failed chord earn no hold bonus
+          this.heldNotes.delete(note.midi);
+          note.holding = false;
+        }
+      }
+
+      const scoreResult = this.recordJudgement(expectedNote, () =>
+        this.scoring.recordHit(HitResult.WRONG_NOTE, mistake)
+      );
+      result = { hitResult: HitResult.WRONG_NOTE, note: expectedNote, notes, consumed: true, scoreResult };
+    }
+
+    this.emit(GameEvent.WRONG_NOTE, { midi: midiNote, expectedNote, delta, policy });
+    return result;
+  }
+
+  /**
+   * Get every note of a chord the player has to play
+   * (minus notes dropped by adaptive thinning or autoplayed for the other hand)
+   * @param {string} chordId - Chord id from the chart
+   * @returns {Array} Notes of the chord
+   */
+  getChordNotes(chordId) {
+    const notes = this.chordNotes.get(chordId) ?? [];
+    return notes.filter(n => !n.thinned && !n.autoplay);
+  }
+
+  /**
+   * Record one key of a chord
+   * The chord is judged once all of its keys are down; until then the
+   * press returns a pending result without a hitResult.
+   * @param {object} note - Chord note that was matched
+   * @param {number} midiNote - MIDI note number pressed
+   * @param {number} currentTime - Input time of the press
+   * @param {number|null} velocity - MIDI velocity of the press
+   * @returns {object} Chord result, or {hitResult: null, note, pending: true}
+   */
+  pressChordNote(note, midiNote, currentTime, velocity = null) {
+    let pending = this.pendingChords.get(note.chordId);
+    if (!pending) {
+      pending = {
+        notes: this.getChordNotes(note.chordId),
+        deltas: new Map(),
+        velocities: new Map(),
+        firstPressMs: currentTime,
+      };
+      this.pendingChords.set(note.chordId, pending);
+    }
+
+    note.hit = true;
+    pending.deltas.set(note.id, currentTime - note.timeMs);
+    pending.velocities.set(note.id, velocity);
+    this.startHold(note);
+
+    if (pending.deltas.size < pending.notes.length) {
+      return { hitResult: null, note, pending: true };
+    }
+
+    return this.resolveChord(note.chordId, midiNote);
+  }
+
+  /**
+   * Judge a chord and score it as a single event
+   * @param {string} chordId - Chord id from the chart
+   * @param {number|null} midiNote - Last key pressed (null when missed)
+   * @returns {object} {hitResult, note, notes, scoreResult}
+   */
+  resolveChord(chordId, midiNote = null) {
+    const pending = this.pendingChords.get(chordId);
+    const notes = pending ? pending.notes : this.getChordNotes(chordId);
+    const deltas = notes.map(n => pending?.deltas.get(n.id) ?? null);
+    this.pendingChords.delete(chordId);
+
+    const { hitResult, delta } = judgeChord(deltas, this.getHitWindows(), this.getChordSpreadMs());
+    for (const note of notes) {
+      note.hit = true;
+      note.hitResult = hitResult;
+      note.offsetMs = pending?.deltas.get(note.id) ?? null;
+    }
+
+    // Mistakes point at the first key that was not played
+    const note = notes.find(n => !pending?.deltas.has(n.id)) || notes[notes.length - 1];
+    const scoreResult = this.recordJudgement(note, () =>
+      this.scoring.recordHit(hitResult, this.getNoteInfo(note, midiNote, delta))
+    );
+
+    if (hitResult === HitResult.MISS) {
+      this.emit(GameEvent.NOTE_MISS, { note, notes });
+    } else {
+      // Each key of a played chord is judged on its own velocity
+      for (const chordNote of notes) {
+        this.judgeDynamics(chordNote, pending.velocities.get(chordNote.id));
+      }
+      this.emit(GameEvent.NOTE_HIT, { note, notes, hitResult, delta, scoreResult });
+    }
+
+    return { hitResult, note, notes, scoreResult };
+  }
+
+  /**
+   * Fail chords whose keys were not all pressed within the spread window
+   * @param {number} inputTime - Current input time
+   */
+  updateChords(inputTime) {
+    const spreadMs = this.getChordSpreadMs();
+    for (const [chordId, pending] of this.pendingChords) {
+      if (inputTime - pending.firstPressMs > spreadMs) {
+        this.resolveChord(chordId);
+      }
+    }
+  }
+
+  /**
+   * Handle a key release (from keyboard or MIDI)
+   * Ends the hold of a long note and judges how long it was held.
+   * @param {number} midiNote - MIDI note number
+   * @returns {object|null} Hold result or null if no hold note was held
+   */
+  handleKeyRelease(midiNote) {
+    if (this.state !== GameState.PLAYING || this.replay) return null;
+
+    const transportMs = this.transport.getCurrentTimeMs();
+    this.recordInput(InputEventType.RELEASE, { midi: midiNote }, transportMs);
+    return this.releaseKey(midiNote, transportMs);
+  }
+
+  /**
+   * Judge a key release that arrived at a given transport time
+   * @param {number} midiNote - MIDI note number
+   * @param {number} transportMs - Transport time the release arrived
+   * @returns {object|null} Hold result or null if no hold note was held
+   */
+  releaseKey(midiNote, transportMs) {
+    const note = this.heldNotes.get(midiNote);
+    if (!note) return null;
+
+    return this.endHold(note, this.getInputTimeMs(transportMs) - note.timeMs);
+  }
+
+  /**
+   * Start tracking a hit note if it has to be held
+   * @param {object} note - The note that was just hit
+   */
+  startHold(note) {
+    if (!isHoldNote(note)) return;
+
+    note.holding = true;
+    this.heldNotes.set(note.midi, note);
+  }
+
+  /**
+   * Judge and score a hold note
+   * @param {object} note - The held note
+   * @param {number} heldMs - Time from the note start to the release (song ms)
+   * @returns {object} {holdResult, note, points}
+   */
+  endHold(note, heldMs) {
+    this.heldNotes.delete(note.midi);
+    note.holding = false;
+    note.holdResult = classifyHold(heldMs, note.durationMs);
+
+    const { points } = this.scoring.recordHold(note.holdResult);
+    const release = { holdResult: note.holdResult, note, points };
+    this.emit(GameEvent.NOTE_RELEASE, release);
+
+    return release;
+  }
+
+  /**
+   * Drop held notes without judging them
+   */
+  clearHolds() {
+    for (const note of this.heldNotes.values()) {
+      note.holding = false;
+    }
+    this.heldNotes.clear();
+  }
+
+  /**
+   * Complete holds that were kept down for the whole note
+   * @param {number} inputTime - Current input time
+   */
+  updateHolds(inputTime) {
+    for (const note of this.heldNotes.values()) {
+      if (inputTime >= note.timeMs + note.durationMs) {
+        this.endHold(note, note.durationMs);
+      }
+    }
+  }
+
+  /**
+   * Handle a key press in wait mode
+   * Notes are judged by wrong tries, not timing. A note can be played as
+   * soon as it is within the good window of the hit line.
+   * @param {number} midiNote - MIDI note number
+   * @param {number} currentTime - Input time of the press
+   * @param {number|null} velocity - MIDI velocity of the press
+   * @returns {object|null} Hit result or null if no match
+   */
+  handleWaitKeyPress(midiNote, currentTime, velocity = null) {
+    const windows = this.getHitWindows();
+    const reachableNotes = this.getOpenNotes(-Infinity, currentTime + windows.good);
+
+    const note = reachableNotes.find(n => n.midi === midiNote);
+
+    if (note) {
+      note.hit = true;
+      this.startHold(note);
+      this.judgeDynamics(note, velocity);
+
+      // A chord scores once, when its last key goes down
+      const chordNotes = note.chordId ? this.getChordNotes(note.chordId) : [note];
+      if (chordNotes.some(n => !n.hit)) {
+        return { hitResult: null, note, pending: true };
+      }
+
+      const scoreResult = this.recordJudgement(note, () =>
+        this.scoring.recordAttemptHit(this.waitWrongAttempts, this.getNoteInfo(note, midiNote, 0))
+      );
+      // The tries belong to this note, even when it was played before the highway stopped
+      this.waitWrongAttempts = 0;
+      for (const chordNote of chordNotes) {
+        chordNote.hitResult = scoreResult.hitResult;
+      }
+
+      // Release the highway once the whole chord has been played
+      if (this.isWaiting()) {
+        this.waitingNotes = this.waitingNotes.filter(n => !n.hit);
+        if (this.waitingNotes.length === 0) {
+          this.clearWait();
+          this.transport.start();
+          this.emit(GameEvent.WAIT_END);
+        }
+      }
+
+      this.emit(GameEvent.NOTE_HIT, {
+        note,
+        notes: chordNotes,
+        hitResult: note.hitResult,
+        delta: 0,
+        scoreResult,
+      });
+
+      return {
+        hitResult: note.hitResult,
+        note,
+        notes: chordNotes,
+        scoreResult,
+      };
+    }
+
+    if (reachableNotes.length > 0) {
+      const expectedNote = this.isWaiting() ? this.waitingNotes[0] : reachableNotes[0];
+      this.waitWrongAttempts++;
+      this.recordJudgement(expectedNote, () =>
+        this.scoring.recordWrongAttempt(this.getNoteInfo(expectedNote, midiNote, 0))
+      );
+      this.emit(GameEvent.WRONG_NOTE, {
+        midi: midiNote,
+        expectedNote,
+        delta: 0,
+        policy: WrongNotePolicy.PENALIZE,
       });
     }
 
     return null;
   }
 
+  /**
+   * Check if the highway is stopped waiting for a note (wait mode)
+   * @returns {boolean}
+   */
+  isWaiting() {
+    return this.waitingNotes.length > 0;
+  }
+
+  /**
+   * Clear wait mode state
+   */
+  clearWait() {
+    this.waitingNotes = [];
+    this.waitWrongAttempts = 0;
+  }
+
+  /**
+   * Stop the highway at the first unplayed note that reached the hit line
+   * @param {number} currentTime - Current transport time
+   */
+  updateWait(currentTime) {
+    if (this.isWaiting()) return;
+
+    // Only notes up to the playhead can stop the highway
+    const [nextNote] = this.getOpenNotes(-Infinity, currentTime);
+    if (!nextNote) return;
+
+    // Freeze exactly on the hit line, holding every note of the chord
+    this.waitingNotes = this.getOpenNotes(nextNote.timeMs, nextNote.timeMs);
+    this.transport.pause();
+    this.seekPlayheadTo(nextNote.timeMs);
+    this.emit(GameEvent.WAIT_START, { notes: this.waitingNotes });
+  }
+
   /**
    * Start the game loop using requestAnimationFrame
    */
@@ -175,10 +1510,10 @@ export class GameEngine {
       if (this.state !== GameState.PLAYING) return;
 
       this.update();
-      this.animationFrameId = requestAnimationFrame(loop);
+      this.animationFrameId = this.scheduler.requestFrame(loop);
     };
 
-    this.animationFrameId = requestAnimationFrame(loop);
+    this.animationFrameId = this.scheduler.requestFrame(loop);
   }
 
   /**
@@ -186,7 +1521,7 @@ export class GameEngine {
    */
   stopGameLoop() {
     if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+      this.scheduler.cancelFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
   }
@@ -195,42 +1530,90 @@ export class GameEngine {
    * Main update function called every frame
    */
   update() {
-    const currentTime = this.transport.getCurrentTimeMs();
+    if (this.countIn) {
+      this.updateCountIn();
+    }
+
+    if (this.replay) {
+      this.updateReplay();
+    }
+
+    if (this.mode === PlayMode.WAIT) {
+      // Wait mode never misses: the highway stops at the next note instead
+      this.updateWait(this.getPlayheadMs());
+    }
+
+    const currentTime = this.getPlayheadMs();
+    const inputTime = this.getInputTimeMs();
+    const windows = this.getHitWindows();
+
+    if (this.hasAutoplay()) {
+      this.updateAutoplay(this.transport.getCurrentTimeMs());
+    }
+
+    if (this.heldNotes.size > 0) {
+      this.updateHolds(inputTime);
+    }
+
+    if (this.pendingChords.size > 0) {
+      this.updateChords(inputTime);
+    }
 
     // Check for missed notes
-    for (const note of this.notes) {
-      if (!note.hit && isNoteMissed(note.timeMs, currentTime, this.hitWindows)) {
+    // Uses input time: a note is missed once a press arriving now could no
+    // longer hit it, whatever the frame timing
+    // Notes are sorted, so the scan stops at the first one still hittable
+    if (this.mode === PlayMode.NORMAL) {
+      for (let i = this.getJudgeIndex(); i < this.notes.length; i++) {
+        const note = this.notes[i];
+        if (!isNoteMissed(note.timeMs, inputTime, windows)) break;
+        if (note.hit || !this.isInLoop(note)) continue;
+
+        if (note.chordId) {
+          this.resolveChord(note.chordId);
+          continue;
+        }
+
         note.hit = true;
         note.hitResult = HitResult.MISS;
+        note.offsetMs = null;
 
-        this.scoring.recordHit(HitResult.MISS, {
-          noteId: note.id,
-          expectedMidi: note.midi,
-          actualMidi: null,
-          deltaMs: currentTime - note.timeMs,
-        });
+        this.recordJudgement(note, () =>
+          this.scoring.recordHit(HitResult.MISS, this.getNoteInfo(note, null, null))
+        );
 
-        this.onNoteMiss({ note });
+        this.emit(GameEvent.NOTE_MISS, { note });
       }
     }
 
+    // Loop back once every note in the loop has been judged
+    if (this.loop && inputTime > this.loop.endMs + windows.good) {
+      this.completeLoopPass();
+      return;
+    }
+
     // Check if song is finished
-    const allNotesProcessed = this.notes.every(n => n.hit);
+    const allNotesProcessed = this.getJudgeIndex() === this.notes.length &&
+                              this.pendingChords.size === 0 &&
+                              this.heldNotes.size === 0;
     const lastNoteTime = this.chart.duration;
 
-    if (allNotesProcessed && currentTime > lastNoteTime + 500) {
+    if (!this.loop && allNotesProcessed && currentTime > lastNoteTime + 500) {
       this.finish();
       return;
     }
 
-    // Call update callback with current state
-    this.onUpdate({
+    // Publish the frame state
+    this.emit(GameEvent.UPDATE, {
       currentTimeMs: currentTime,
       notes: this.notes,
       score: this.scoring.score,
       streak: this.scoring.streak,
       multiplier: this.scoring.getMultiplier(),
-      progress: Math.min(currentTime / this.chart.duration, 1),
+      progress: Math.max(0, Math.min(currentTime / this.chart.duration, 1)),
+      waiting: this.isWaiting(),
+      loop: this.loop,
+      countIn: this.getCountInStatus(),
     });
   }
 
@@ -240,34 +1623,43 @@ export class GameEngine {
   finish() {
     this.state = GameState.FINISHED;
     this.stopGameLoop();
-    this.transport.stop();
+    if (this.ownsTransport) this.transport.stop();
 
-    const summary = this.scoring.getSummary();
-    this.onFinish(summary);
+    this.emit(GameEvent.FINISH, this.getSummary());
   }
 
   /**
    * Get current game state for rendering
    * @param {number} hitLineY - Y position of hit line in pixels
-   * @returns {object} Render state
+   * @returns {object} Render state (notes: only those near the playhead)
    */
   getRenderState(hitLineY = 0) {
-    const currentTime = this.transport.getCurrentTimeMs();
+    const currentTime = this.getPlayheadMs();
+    const playbackRate = this.transport.playbackRate;
 
     // Calculate Y position for each note
     // Notes above hit line = positive timeToHit
     // Notes at hit line = 0
     // Notes below hit line = negative timeToHit (passed)
-    const notesWithPosition = this.notes.map(note => {
+    // Positions use real time, so notes fall at the same speed at any tempo
+    // Only the notes around the playhead are included
+    const nearbyNotes = getVisibleNotes(
+      this.notes,
+      currentTime,
+      this.lookAheadMs * playbackRate,
+      RENDER_LOOK_BEHIND_MS * playbackRate
+    );
+    const notesWithPosition = nearbyNotes.map(note => {
       const timeToHit = note.timeMs - currentTime;
-      const yOffset = timeToHit * this.noteSpeedPxPerMs;
+      const realTimeToHit = timeToHit / playbackRate;
+      const yOffset = realTimeToHit * this.noteSpeedPxPerMs;
       const y = hitLineY - yOffset; // Notes fall down, so subtract offset
 
       return {
         ...note,
         timeToHit,
         y,
-        isVisible: timeToHit > -500 && timeToHit < this.lookAheadMs,
+        isVisible: realTimeToHit > -RENDER_LOOK_BEHIND_MS && realTimeToHit < this.lookAheadMs,
       };
     });
 
@@ -277,8 +1669,14 @@ export class GameEngine {
       score: this.scoring.score,
       streak: this.scoring.streak,
       multiplier: this.scoring.getMultiplier(),
-      progress: this.chart ? Math.min(currentTime / this.chart.duration, 1) : 0,
+      progress: this.chart ? Math.max(0, Math.min(currentTime / this.chart.duration, 1)) : 0,
       state: this.state,
+      mode: this.mode,
+      waiting: this.isWaiting(),
+      loop: this.loop,
+      loopPasses: this.loopPasses,
+      countIn: this.getCountInStatus(),
+      playbackRate,
     };
   }
 }
@@ -6,6 +6,21 @@
  * - Great: 61-120ms
  * - Good: 121-180ms
  * - Miss: >180ms or wrong note
+ *
+ * Hold notes (durationMs >= 600ms) are also judged on release:
+ * - Full: held for at least 80% of the duration
+ * - Partial: 50-80%
+ * - Short: released before half the duration
+ *
+ * Chords (notes sharing a timeMs) are judged as one event:
+ * - Every key must be pressed within the chord spread window (100ms)
+ * - The chord gets the result of its least accurate key
+ *
+ * Notes with a dynamics mark (p, mf, f) are also judged on MIDI velocity:
+ * - Match: the velocity falls in the mark's range
+ * - Close: one step away (e.g. mf played as f)
+ * - Off: p played as f, or f as p
+ * Input without velocity (on-screen keys) gets no dynamics judgement.
  */
 
 // Default hit window thresholds in ms
@@ -26,9 +41,117 @@ export const HitResult = {
   WRONG_NOTE: 'wrong_note',
 };
 
+// Max time between the first and last key of a chord in ms
+export const DEFAULT_CHORD_SPREAD_MS = 100;
+
+// Hold judgement thresholds (fraction of durationMs held)
+export const HOLD_THRESHOLDS = {
+  minDurationMs: 600, // Shorter notes are not judged on release
+  full: 0.8,
+  partial: 0.5,
+};
+
+/**
+ * Hold result types
+ */
+export const HoldResult = {
+  FULL: 'full',
+  PARTIAL: 'partial',
+  SHORT: 'short',
+};
+
+/**
+ * Dynamics marks, quietest first
+ */
+export const Dynamic = {
+  PIANO: 'p',
+  MEZZO_FORTE: 'mf',
+  FORTE: 'f',
+};
+
+const DYNAMIC_ORDER = [Dynamic.PIANO, Dynamic.MEZZO_FORTE, Dynamic.FORTE];
+
+// Lowest MIDI velocity (1-127) that counts as each mark
+export const DYNAMIC_VELOCITIES = {
+  [Dynamic.PIANO]: 1,
+  [Dynamic.MEZZO_FORTE]: 56,
+  [Dynamic.FORTE]: 96,
+};
+
+/**
+ * Dynamics result types
+ */
+export const DynamicsResult = {
+  MATCH: 'match',
+  CLOSE: 'close',
+  OFF: 'off',
+};
+
+/**
+ * Get the dynamics mark a velocity is played at
+ * @param {number} velocity - MIDI velocity (1-127)
+ * @returns {string} Dynamic value
+ */
+export function getVelocityDynamic(velocity) {
+  for (let i = DYNAMIC_ORDER.length - 1; i > 0; i--) {
+    if (velocity >= DYNAMIC_VELOCITIES[DYNAMIC_ORDER[i]]) {
+      return DYNAMIC_ORDER[i];
+    }
+  }
+  return DYNAMIC_ORDER[0];
+}
+
+/**
+ * Judge how loudly a note was played against its dynamics mark
+ * @param {number|null} velocity - MIDI velocity (null when the input has none)
+ * @param {string|null} dynamic - Dynamic mark of the note (null = unmarked)
+ * @returns {string|null} DynamicsResult value, or null if not judged
+ */
+export function classifyDynamics(velocity, dynamic) {
+  if (typeof velocity !== 'number' || !dynamic) {
+    return null;
+  }
+
+  const played = DYNAMIC_ORDER.indexOf(getVelocityDynamic(velocity));
+  const steps = Math.abs(played - DYNAMIC_ORDER.indexOf(dynamic));
+
+  if (steps === 0) return DynamicsResult.MATCH;
+  if (steps === 1) return DynamicsResult.CLOSE;
+  return DynamicsResult.OFF;
+}
+
+/**
+ * Check if a note is long enough to be judged on release
+ * @param {object} note - Note with durationMs
+ * @param {object} thresholds - Custom hold thresholds (optional)
+ * @returns {boolean}
+ */
+export function isHoldNote(note, thresholds = HOLD_THRESHOLDS) {
+  return note.durationMs >= thresholds.minDurationMs;
+}
+
+/**
+ * Classify how long a note was held against its duration
+ * @param {number} heldMs - Time from the note start to the release
+ * @param {number} durationMs - Written duration of the note
+ * @param {object} thresholds - Custom hold thresholds (optional)
+ * @returns {string} HoldResult value
+ */
+export function classifyHold(heldMs, durationMs, thresholds = HOLD_THRESHOLDS) {
+  const fraction = durationMs > 0 ? heldMs / durationMs : 1;
+
+  if (fraction >= thresholds.full) {
+    return HoldResult.FULL;
+  }
+  if (fraction >= thresholds.partial) {
+    return HoldResult.PARTIAL;
+  }
+  return HoldResult.SHORT;
+}
+
 /**
  * Classify a hit based on timing delta
- * @param {number} deltaMs - Absolute time difference between hit and target (always positive)
+ * @param {number} deltaMs - Time difference between hit and target (sign is ignored)
  * @param {boolean} correctNote - Whether the correct note was hit
  * @param {object} windows - Custom hit windows (optional)
  * @returns {string} HitResult value
@@ -81,7 +204,7 @@ export function isNoteHittable(noteTimeMs, currentTimeMs, windows = DEFAULT_HIT_
  * @param {number} currentTimeMs - Current transport time
  * @param {Array} activeNotes - Array of {timeMs, midi, id} notes to check
  * @param {object} windows - Custom hit windows (optional)
- * @returns {object|null} Best matching note with hitResult, or null if no match
+ * @returns {object|null} {note, delta, hitResult} with signed delta (negative = early), or null if no match
  */
 export function findBestMatch(midiNote, currentTimeMs, activeNotes, windows = DEFAULT_HIT_WINDOWS) {
   let bestMatch = null;
@@ -91,10 +214,11 @@ export function findBestMatch(midiNote, currentTimeMs, activeNotes, windows = DE
     if (note.midi !== midiNote) continue;
     if (note.hit) continue; // Already hit
 
-    const delta = Math.abs(currentTimeMs - note.timeMs);
+    const delta = currentTimeMs - note.timeMs; // Negative = early, positive = late
+    const absDelta = Math.abs(delta);
 
-    if (delta <= windows.good && delta < bestDelta) {
-      bestDelta = delta;
+    if (absDelta <= windows.good && absDelta < bestDelta) {
+      bestDelta = absDelta;
       bestMatch = {
         note,
         delta,
@@ -105,3 +229,25 @@ export function findBestMatch(midiNote, currentTimeMs, activeNotes, windows = DE
 
   return bestMatch;
 }
+
+/**
+ * Judge a chord from the timing of each of its keys
+ * @param {Array<number|null>} deltas - Signed press delta per chord note (null = not pressed)
+ * @param {object} windows - Custom hit windows (optional)
+ * @param {number} spreadMs - Max time between first and last key (optional)
+ * @returns {object} {hitResult, delta, spread} - delta is the least accurate key's signed delta
+ */
+export function judgeChord(deltas, windows = DEFAULT_HIT_WINDOWS, spreadMs = DEFAULT_CHORD_SPREAD_MS) {
+  if (deltas.length === 0 || deltas.some(d => d === null)) {
+    return { hitResult: HitResult.MISS, delta: null, spread: null };
+  }
+
+  const spread = Math.max(...deltas) - Math.min(...deltas);
+  const delta = deltas.reduce((worst, d) => (Math.abs(d) > Math.abs(worst) ? d : worst));
+
+  if (spread > spreadMs) {
+    return { hitResult: HitResult.MISS, delta, spread };
+  }
+
+  return { hitResult: classifyHit(delta, true, windows), delta, spread };
+}
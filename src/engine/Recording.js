@@ -0,0 +1,108 @@
+/**
+ * Recording - Capture a run's inputs so it can be replayed exactly
+ *
+ * A recording holds the chart id, the engine settings the run started
+ * with, and every input event stamped with the transport time it arrived:
+ *
+ * {
+ *   "version": 1,
+ *   "chartId": "twinkle-twinkle/simple",
+ *   "settings": { "mode": "normal", "playbackRate": 1, ... },
+ *   "events": [
+ *     { "type": "press", "midi": 60, "timeMs": 1012.5 },
+ *     { "type": "release", "midi": 60, "timeMs": 1430.1 },
+ *     ...
+ *   ]
+ * }
+ *
+ * Replaying the events through GameEngine with the same settings gives
+ * the same score summary.
+ */
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Input event types
+ */
+export const InputEventType = {
+  PRESS: 'press',
+  RELEASE: 'release',
+  SET_LOOP: 'setLoop',
+  CLEAR_LOOP: 'clearLoop',
+  LOOP_PASS: 'loopPass', // Engine jumped back to the loop start
+  SEEK: 'seek',
+};
+
+/**
+ * Build the chart id used in recordings
+ * @param {string} songId - Song id from songs/index.js
+ * @param {string} difficulty - 'simple', 'medium' or 'hard'
+ * @returns {string} '<songId>/<difficulty>'
+ */
+export function getChartId(songId, difficulty) {
+  return `${songId}/${difficulty}`;
+}
+
+/**
+ * Split a chart id back into song and difficulty
+ * @param {string} chartId - Id from getChartId()
+ * @returns {object} {songId, difficulty}
+ */
+export function parseChartId(chartId) {
+  const [songId, difficulty] = chartId.split('/');
+  return { songId, difficulty };
+}
+
+/**
+ * Create an empty recording
+ * @param {string} chartId - Id from getChartId()
+ * @param {object} settings - Engine settings from GameEngine.getSettings()
+ * @returns {object} Recording
+ */
+export function createRecording(chartId, settings) {
+  return {
+    version: RECORDING_VERSION,
+    chartId,
+    settings,
+    events: [],
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Turn a recording into JSON (for saving or attaching to a bug report)
+ * @param {object} recording - Recording from GameEngine.getRecording()
+ * @returns {string} JSON text
+ */
+export function serializeRecording(recording) {
+  return JSON.stringify(recording, null, 2);
+}
+
+/**
+ * Parse and validate a saved recording
+ * @param {string|object} data - JSON text or parsed object
+ * @returns {object} Recording
+ * @throws {Error} If the recording is invalid
+ */
+export function parseRecording(data) {
+  const recording = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!recording || recording.version !== RECORDING_VERSION) {
+    throw new Error('Invalid recording: unsupported version');
+  }
+  if (typeof recording.chartId !== 'string' || !recording.settings) {
+    throw new Error('Invalid recording: missing chart id or settings');
+  }
+  if (!Array.isArray(recording.events)) {
+    throw new Error('Invalid recording: missing events array');
+  }
+
+  const types = Object.values(InputEventType);
+  recording.events.forEach((event, index) => {
+    if (!types.includes(event.type) || typeof event.timeMs !== 'number') {
+      throw new Error(`Invalid event at index ${index}`);
+    }
+  });
+
+  return recording;
+}
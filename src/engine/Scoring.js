@@ -8,9 +8,29 @@
  * - Miss: 0
  *
  * Streak multiplier: +1 every 10 consecutive non-miss hits (capped at 4x)
+ *
+ * Hold notes add a bonus (or penalty) when released:
+ * - Full: +30
+ * - Partial: +10
+ * - Short: -20 (score never drops below 0)
+ *
+ * Timing analysis uses the signed offset of every judged hit
+ * (negative = early, positive = late). A mean offset beyond 25ms either
+ * way is reported as rushing or dragging.
+ *
+ * Wait mode scores by attempts instead of timing:
+ * - Correct on the first try: Perfect
+ * - One wrong key first: Great
+ * - Two or more wrong keys first: Good
+ *
+ * Dynamics (how loudly marked notes are played) earn a separate expression
+ * score that is not added to the main score, streak or accuracy:
+ * - Match: 20
+ * - Close: 10
+ * - Off: 0
  */
 
-import { HitResult } from './HitDetection.js';
+import { HitResult, HoldResult, DynamicsResult } from './HitDetection.js';
 
 // Base scores per hit type
 export const BASE_SCORES = {
@@ -21,17 +41,86 @@ export const BASE_SCORES = {
   [HitResult.WRONG_NOTE]: 0,
 };
 
+// Points added on release of a hold note
+export const HOLD_SCORES = {
+  [HoldResult.FULL]: 30,
+  [HoldResult.PARTIAL]: 10,
+  [HoldResult.SHORT]: -20,
+};
+
+// Expression points per dynamics judgement
+export const EXPRESSION_SCORES = {
+  [DynamicsResult.MATCH]: 20,
+  [DynamicsResult.CLOSE]: 10,
+  [DynamicsResult.OFF]: 0,
+};
+
+// Mean offset (ms) beyond which the player is told they rush or drag
+export const TIMING_TENDENCY_MS = 25;
+
+/**
+ * Timing tendencies
+ */
+export const TimingTendency = {
+  RUSH: 'rush',   // Plays early on average
+  DRAG: 'drag',   // Plays late on average
+  STEADY: 'steady',
+};
+
 // Streak configuration
 export const STREAK_CONFIG = {
   notesPerMultiplier: 10,  // Every 10 notes increases multiplier
   maxMultiplier: 4,        // Cap at 4x
 };
 
+// Judgements kept for getRollingAccuracy()
+const ROLLING_HISTORY = 50;
+
+/**
+ * Scoring modes
+ */
+export const ScoringMode = {
+  TIMING: 'timing',     // Judged by hit windows
+  ATTEMPTS: 'attempts', // Judged by wrong tries (wait mode)
+};
+
+// Hit result by number of wrong tries before the correct key (wait mode)
+export const ATTEMPT_RESULTS = [HitResult.PERFECT, HitResult.GREAT, HitResult.GOOD];
+
+/**
+ * Classify a wait mode hit by the wrong tries that came before it
+ * @param {number} wrongAttempts - Wrong keys pressed while waiting for this note
+ * @returns {string} HitResult value
+ */
+export function classifyAttempts(wrongAttempts) {
+  return ATTEMPT_RESULTS[Math.min(wrongAttempts, ATTEMPT_RESULTS.length - 1)];
+}
+
 /**
  * Scoring state manager
  */
 export class ScoringEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.mode = options.mode || ScoringMode.TIMING;
+    this.sections = []; // Song sections from the chart, kept across resets
+    this.reset();
+  }
+
+  /**
+   * Switch scoring rules (resets the score)
+   * @param {string} mode - ScoringMode value
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.reset();
+  }
+
+  /**
+   * Set the song sections to break results down by
+   * @param {Array} sections - Parsed chart sections as {id, name, startMs, endMs}
+   */
+  setSections(sections) {
+    this.sections = sections.map(section => ({ ...section }));
     this.reset();
   }
 
@@ -46,8 +135,64 @@ export class ScoringEngine {
       [HitResult.MISS]: 0,
       [HitResult.WRONG_NOTE]: 0,
     };
+    this.holdCounts = {
+      [HoldResult.FULL]: 0,
+      [HoldResult.PARTIAL]: 0,
+      [HoldResult.SHORT]: 0,
+    };
+    this.holdPoints = 0; // Net hold bonus/penalty included in score
+    this.dynamicsCounts = {
+      [DynamicsResult.MATCH]: 0,
+      [DynamicsResult.CLOSE]: 0,
+      [DynamicsResult.OFF]: 0,
+    };
+    this.expressionScore = 0; // Kept apart from score
     this.totalNotes = 0;
+    this.wrongAttempts = 0; // Wrong keys that did not use up a note (not counted as notes)
     this.mistakes = []; // Array of {noteId, expectedMidi, actualMidi, deltaMs, hitResult}
+    this.offsets = []; // Signed offset (ms) of every judged hit, negative = early
+    this.recentResults = []; // Success (true) or failure of the latest judgements
+    this.sectionCounts = {}; // Section id -> {judged, successful}
+  }
+
+  /**
+   * Remember whether a judgement succeeded, for the rolling accuracy
+   * @param {boolean} success - True for a correct note
+   */
+  pushRecentResult(success) {
+    this.recentResults.push(success);
+    if (this.recentResults.length > ROLLING_HISTORY) {
+      this.recentResults.shift();
+    }
+  }
+
+  /**
+   * Count a judgement towards the song section of its note
+   * @param {object|null} noteInfo - Judged note info with sectionId
+   * @param {boolean} success - True for a correct note
+   */
+  countSection(noteInfo, success) {
+    const sectionId = noteInfo?.sectionId;
+    if (!sectionId) return;
+
+    const counts = this.sectionCounts[sectionId] ?? { judged: 0, successful: 0 };
+    counts.judged++;
+    if (success) counts.successful++;
+    this.sectionCounts[sectionId] = counts;
+  }
+
+  /**
+   * Get the accuracy of the latest judgements
+   * Wrong keys in wait mode count as failures, as in getAccuracy().
+   * @param {number} count - Judgements to include
+   * @returns {number|null} 0-100, or null if fewer judgements were made
+   */
+  getRollingAccuracy(count) {
+    if (this.recentResults.length < count) return null;
+
+    const recent = this.recentResults.slice(-count);
+    const successful = recent.filter(Boolean).length;
+    return Math.round((successful / count) * 100);
   }
 
   /**
@@ -70,6 +215,8 @@ export class ScoringEngine {
     this.totalNotes++;
 
     const isMiss = hitResult === HitResult.MISS || hitResult === HitResult.WRONG_NOTE;
+    this.pushRecentResult(!isMiss);
+    this.countSection(noteInfo, !isMiss);
 
     if (isMiss) {
       // Record mistake
@@ -85,6 +232,11 @@ export class ScoringEngine {
       // Increase streak on successful hit
       this.streak++;
       this.maxStreak = Math.max(this.maxStreak, this.streak);
+
+      // Wait mode hits have no timing to analyse
+      if (this.mode === ScoringMode.TIMING && typeof noteInfo?.deltaMs === 'number') {
+        this.offsets.push(noteInfo.deltaMs);
+      }
     }
 
     const multiplier = this.getMultiplier();
@@ -101,16 +253,123 @@ export class ScoringEngine {
     };
   }
 
+  /**
+   * Record a wait mode hit, judged by the wrong tries before it
+   * @param {number} wrongAttempts - Wrong keys pressed while waiting for this note
+   * @param {object} noteInfo - Optional info for tracking mistakes
+   * @returns {object} {hitResult, points, multiplier, newStreak}
+   */
+  recordAttemptHit(wrongAttempts, noteInfo = null) {
+    const hitResult = classifyAttempts(wrongAttempts);
+    return {
+      hitResult,
+      ...this.recordHit(hitResult, noteInfo),
+    };
+  }
+
+  /**
+   * Record a wrong key that leaves the expected note playable
+   * (wait mode, or the penalize wrong-note policy). The note is not added
+   * to totalNotes; the wrong key counts against accuracy on its own.
+   * @param {object} noteInfo - Optional info for tracking mistakes
+   */
+  recordWrongAttempt(noteInfo = null) {
+    this.wrongAttempts++;
+    this.streak = 0;
+    this.pushRecentResult(false);
+    this.countSection(noteInfo, false);
+
+    if (noteInfo) {
+      this.mistakes.push({
+        ...noteInfo,
+        hitResult: HitResult.WRONG_NOTE,
+      });
+    }
+  }
+
+  /**
+   * Record the release of a hold note
+   * Holds do not change the streak or accuracy, only the score.
+   * @param {string} holdResult - HoldResult value
+   * @returns {object} {points}
+   */
+  recordHold(holdResult) {
+    this.holdCounts[holdResult]++;
+
+    // Penalties never take the score below 0
+    const points = Math.max(HOLD_SCORES[holdResult], -this.score);
+    this.score += points;
+    this.holdPoints += points;
+
+    return { points };
+  }
+
+  /**
+   * Record the dynamics judgement of a played note
+   * Only the expression score changes.
+   * @param {string} dynamicsResult - DynamicsResult value
+   * @returns {object} {points}
+   */
+  recordDynamics(dynamicsResult) {
+    this.dynamicsCounts[dynamicsResult]++;
+
+    const points = EXPRESSION_SCORES[dynamicsResult];
+    this.expressionScore += points;
+
+    return { points };
+  }
+
+  /**
+   * Get the expression score summary
+   * @returns {object|null} {score, percent, judged, counts}, or null if no
+   *   note was judged on dynamics (unmarked chart or input without velocity)
+   */
+  getExpressionSummary() {
+    const judged = Object.values(this.dynamicsCounts).reduce((sum, count) => sum + count, 0);
+    if (judged === 0) return null;
+
+    const maxScore = judged * EXPRESSION_SCORES[DynamicsResult.MATCH];
+    return {
+      score: this.expressionScore,
+      percent: Math.round((this.expressionScore / maxScore) * 100),
+      judged,
+      counts: { ...this.dynamicsCounts },
+    };
+  }
+
   /**
    * Get accuracy percentage
+   * Successful notes out of all judged notes plus wrong keys that did not
+   * use up a note, so no note is counted twice. In wait mode every played
+   * note is successful: this is the share of key presses that were correct.
    * @returns {number} 0-100
    */
   getAccuracy() {
-    if (this.totalNotes === 0) return 100;
+    const judged = this.totalNotes + this.wrongAttempts;
+    if (judged === 0) return 100;
+
     const successful = this.hitCounts[HitResult.PERFECT] +
                        this.hitCounts[HitResult.GREAT] +
                        this.hitCounts[HitResult.GOOD];
-    return Math.round((successful / this.totalNotes) * 100);
+    return Math.round((successful / judged) * 100);
+  }
+
+  /**
+   * Break accuracy and mistakes down by song section
+   * Wrong keys count against their section, as in getAccuracy().
+   * @returns {Array} Sections with {judged, mistakes, accuracy}; accuracy is
+   *   null for a section with nothing judged (e.g. skipped by a seek)
+   */
+  getSectionSummary() {
+    return this.sections.map(section => {
+      const { judged, successful } = this.sectionCounts[section.id] ?? { judged: 0, successful: 0 };
+      return {
+        ...section,
+        judged,
+        mistakes: judged - successful,
+        accuracy: judged > 0 ? Math.round((successful / judged) * 100) : null,
+      };
+    });
   }
 
   /**
@@ -136,11 +395,70 @@ export class ScoringEngine {
       maxStreak: this.maxStreak,
       hitCounts: { ...this.hitCounts },
       totalNotes: this.totalNotes,
+      holdCounts: { ...this.holdCounts },
+      holdPoints: this.holdPoints,
+      expression: this.getExpressionSummary(),
+      timing: analyzeOffsets(this.offsets),
+      mode: this.mode,
+      wrongAttempts: this.wrongAttempts,
       mistakes: [...this.mistakes],
+      sections: this.getSectionSummary(),
     };
   }
 }
 
+/**
+ * Find the section that needs the most work
+ * @param {Array} sections - Section summaries from getSectionSummary()
+ * @returns {object|null} Lowest-accuracy section with mistakes (earliest on a
+ *   tie), or null if every section was clean
+ */
+export function findWeakestSection(sections = []) {
+  let weakest = null;
+  for (const section of sections) {
+    if (section.mistakes === 0) continue;
+    if (!weakest || section.accuracy < weakest.accuracy) {
+      weakest = section;
+    }
+  }
+  return weakest;
+}
+
+/**
+ * Summarise how early or late a player hits
+ * @param {number[]} offsets - Signed offsets in ms (negative = early)
+ * @returns {object} {count, meanOffsetMs, spreadMs, earlyCount, lateCount, tendency}
+ */
+export function analyzeOffsets(offsets) {
+  const count = offsets.length;
+  if (count === 0) {
+    return {
+      count: 0,
+      meanOffsetMs: 0,
+      spreadMs: 0,
+      earlyCount: 0,
+      lateCount: 0,
+      tendency: TimingTendency.STEADY,
+    };
+  }
+
+  const mean = offsets.reduce((sum, o) => sum + o, 0) / count;
+  const variance = offsets.reduce((sum, o) => sum + (o - mean) ** 2, 0) / count;
+
+  let tendency = TimingTendency.STEADY;
+  if (mean <= -TIMING_TENDENCY_MS) tendency = TimingTendency.RUSH;
+  if (mean >= TIMING_TENDENCY_MS) tendency = TimingTendency.DRAG;
+
+  return {
+    count,
+    meanOffsetMs: Math.round(mean),
+    spreadMs: Math.round(Math.sqrt(variance)), // Standard deviation
+    earlyCount: offsets.filter(o => o < 0).length,
+    lateCount: offsets.filter(o => o > 0).length,
+    tendency,
+  };
+}
+
 /**
  * Calculate score for a hit (pure function for testing)
  * @param {string} hitResult - HitResult value
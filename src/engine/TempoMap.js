@@ -0,0 +1,100 @@
+/**
+ * TempoMap - Convert beat positions to song time
+ *
+ * Beat charts place notes on beats instead of milliseconds. The tempo map
+ * lists where the tempo changes:
+ *   "tempo": [{ "beat": 0, "bpm": 100 }, { "beat": 64, "bpm": 80 }]
+ * (a single number is a constant tempo). Beats are counted from 0 in the
+ * time signature's beat unit, so "6/8" at 180 bpm counts eighth notes.
+ */
+
+// Time signature used when a beat chart does not set one
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+// Note values a time signature can count in
+const BEAT_UNITS = [1, 2, 4, 8, 16];
+
+/**
+ * Parse and validate a tempo map
+ * @param {number|Array} tempo - Constant bpm, or changes as {beat, bpm}
+ * @returns {Array} Changes as {beat, bpm, timeMs}, sorted by beat
+ * @throws {Error} If a change is invalid or the map does not start at beat 0
+ */
+export function buildTempoMap(tempo) {
+  const changes = typeof tempo === 'number' ? [{ beat: 0, bpm: tempo }] : tempo;
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new Error('Invalid chart: tempo must be a bpm or an array of tempo changes');
+  }
+
+  const sorted = changes
+    .map((change, index) => {
+      if (typeof change.beat !== 'number' || change.beat < 0 ||
+          typeof change.bpm !== 'number' || !(change.bpm > 0)) {
+        throw new Error(`Invalid tempo change at index ${index}`);
+      }
+      return { beat: change.beat, bpm: change.bpm };
+    })
+    .sort((a, b) => a.beat - b.beat);
+
+  if (sorted[0].beat !== 0) {
+    throw new Error('Invalid chart: tempo map must start at beat 0');
+  }
+
+  // Each change starts where the previous tempo left off
+  let timeMs = 0;
+  return sorted.map((change, index) => {
+    if (index > 0) {
+      const previous = sorted[index - 1];
+      timeMs += (change.beat - previous.beat) * 60000 / previous.bpm;
+    }
+    return { ...change, timeMs };
+  });
+}
+
+/**
+ * Get the song time of a beat
+ * @param {Array} tempoMap - Tempo map from buildTempoMap()
+ * @param {number} beat - Beat position (may be fractional)
+ * @returns {number} Song time in ms
+ */
+export function beatToMs(tempoMap, beat) {
+  let change = tempoMap[0];
+  for (const next of tempoMap) {
+    if (next.beat > beat) break;
+    change = next;
+  }
+  return change.timeMs + (beat - change.beat) * 60000 / change.bpm;
+}
+
+/**
+ * Parse and validate a time signature such as "3/4"
+ * @param {string} timeSignature - Beats per bar / beat unit (default "4/4")
+ * @returns {object} {beatsPerBar, beatUnit}
+ * @throws {Error} If the time signature is invalid
+ */
+export function parseTimeSignature(timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(timeSignature));
+  const beatsPerBar = match ? parseInt(match[1]) : 0;
+  const beatUnit = match ? parseInt(match[2]) : 0;
+  if (beatsPerBar < 1 || !BEAT_UNITS.includes(beatUnit)) {
+    throw new Error('Invalid chart: invalid time signature');
+  }
+  return { beatsPerBar, beatUnit };
+}
+
+/**
+ * Get the start time of every bar up to a time
+ * @param {Array} tempoMap - Tempo map from buildTempoMap()
+ * @param {number} beatsPerBar - Beats in one bar
+ * @param {number} endMs - Last time to include
+ * @returns {number[]} Bar start times in ms, from bar 1 at 0ms
+ */
+export function getBarTimes(tempoMap, beatsPerBar, endMs) {
+  const barTimes = [];
+  for (let bar = 0; ; bar++) {
+    const timeMs = beatToMs(tempoMap, bar * beatsPerBar);
+    if (timeMs > endMs) break;
+    barTimes.push(timeMs);
+  }
+  return barTimes;
+}
@@ -1,17 +1,31 @@
 /**
  * Transport - Single source of truth for timing
  *
- * Uses performance.now() for high-precision timing.
- * All note positions and hit detection derive from this.
+ * Uses performance.now() for high-precision timing (or an injected clock,
+ * see Clock.js). All note positions and hit detection derive from this.
+ *
+ * The playback rate scales song time against real time:
+ * at 0.5 the song runs at half speed.
  */
 
+import { systemClock } from './Clock.js';
+
+// Playback rate limits (50% - 150% of real time)
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 1.5;
+
 export class Transport {
-  constructor() {
+  /**
+   * @param {object} options - {clock} - Time source with now() (default: performance.now)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
     this.startTime = null;
     this.pauseTime = null;
     this.pausedDuration = 0;
     this.isPlaying = false;
     this.isPaused = false;
+    this.playbackRate = 1;
   }
 
   /**
@@ -22,12 +36,12 @@ export class Transport {
 
     if (this.isPaused && this.pauseTime !== null) {
       // Resume from pause
-      this.pausedDuration += performance.now() - this.pauseTime;
+      this.pausedDuration += this.clock.now() - this.pauseTime;
       this.pauseTime = null;
       this.isPaused = false;
     } else {
       // Fresh start
-      this.startTime = performance.now();
+      this.startTime = this.clock.now();
       this.pausedDuration = 0;
       this.pauseTime = null;
     }
@@ -39,7 +53,7 @@ export class Transport {
    */
   pause() {
     if (!this.isPlaying || this.isPaused) return;
-    this.pauseTime = performance.now();
+    this.pauseTime = this.clock.now();
     this.isPaused = true;
   }
 
@@ -55,17 +69,33 @@ export class Transport {
   }
 
   /**
-   * Get current time in milliseconds since start
+   * Get current song time in milliseconds since start
    * @returns {number} Current time in ms, or 0 if not playing
    */
   getCurrentTimeMs() {
     if (!this.isPlaying || this.startTime === null) return 0;
 
     if (this.isPaused && this.pauseTime !== null) {
-      return this.pauseTime - this.startTime - this.pausedDuration;
+      return (this.pauseTime - this.startTime - this.pausedDuration) * this.playbackRate;
     }
 
-    return performance.now() - this.startTime - this.pausedDuration;
+    return (this.clock.now() - this.startTime - this.pausedDuration) * this.playbackRate;
+  }
+
+  /**
+   * Set how fast song time advances relative to real time
+   * The current song position is kept, so this is safe while playing.
+   * @param {number} rate - Clamped to MIN_PLAYBACK_RATE..MAX_PLAYBACK_RATE
+   */
+  setPlaybackRate(rate) {
+    const clamped = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+    if (this.isPlaying) {
+      const currentTimeMs = this.getCurrentTimeMs();
+      this.playbackRate = clamped;
+      this.seekTo(currentTimeMs);
+    } else {
+      this.playbackRate = clamped;
+    }
   }
 
   /**
@@ -77,15 +107,15 @@ export class Transport {
   }
 
   /**
-   * Seek to a specific time (for debugging/testing)
+   * Seek to a specific song time
    * @param {number} timeMs - Time to seek to in ms
    */
   seekTo(timeMs) {
     if (!this.isPlaying) {
       this.start();
     }
-    const now = performance.now();
-    this.startTime = now - timeMs;
+    const now = this.clock.now();
+    this.startTime = now - timeMs / this.playbackRate;
     this.pausedDuration = 0;
     if (this.isPaused) {
       this.pauseTime = now;
@@ -2,27 +2,122 @@
  * Engine exports
  */
 
-export { Transport, transport } from './Transport.js';
-export { GameEngine, GameState } from './GameEngine.js';
+export {
+  Transport,
+  transport,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+} from './Transport.js';
+export {
+  GameEngine,
+  GameState,
+  GameEvent,
+  PlayMode,
+  WrongNotePolicy,
+  DEFAULT_BEATS_PER_BAR,
+} from './GameEngine.js';
+export { EventBus } from './EventBus.js';
 export {
   classifyHit,
   isNoteMissed,
   isNoteHittable,
   findBestMatch,
+  judgeChord,
+  isHoldNote,
+  classifyHold,
+  classifyDynamics,
+  getVelocityDynamic,
   HitResult,
+  HoldResult,
+  Dynamic,
+  DynamicsResult,
+  DYNAMIC_VELOCITIES,
   DEFAULT_HIT_WINDOWS,
+  DEFAULT_CHORD_SPREAD_MS,
+  HOLD_THRESHOLDS,
 } from './HitDetection.js';
 export {
   ScoringEngine,
+  ScoringMode,
   calculateScore,
+  classifyAttempts,
+  analyzeOffsets,
+  TimingTendency,
+  TIMING_TENDENCY_MS,
   BASE_SCORES,
+  HOLD_SCORES,
+  EXPRESSION_SCORES,
   STREAK_CONFIG,
+  ATTEMPT_RESULTS,
 } from './Scoring.js';
 export {
   parseChart,
   simpleNotesToChart,
   getChartTimeRange,
   getVisibleNotes,
+  groupChords,
+  Hand,
   MIDI_TO_NOTE,
   NOTE_TO_MIDI,
+  DEFAULT_TICKS_PER_BEAT,
 } from './ChartParser.js';
+export {
+  buildTempoMap,
+  beatToMs,
+  parseTimeSignature,
+  getBarTimes,
+  DEFAULT_TIME_SIGNATURE,
+} from './TempoMap.js';
+export { lintChart, LintRule, KEYBOARD_MIDI_RANGE } from './ChartLint.js';
+export {
+  generateDifficulty,
+  removeBassNotes,
+  dropChordsToTopNote,
+  mergeFastRepeats,
+  DIFFICULTY_RULES,
+  BASS_SPLIT_MIDI,
+} from './DifficultyGenerator.js';
+export {
+  CALIBRATION_CONFIG,
+  DEFAULT_LATENCY,
+  getTapOffsets,
+  computeOffset,
+  computeCalibration,
+  getInputDeviceKey,
+  getOutputDeviceKey,
+  loadCalibration,
+  saveCalibration,
+} from './Calibration.js';
+export {
+  createRecording,
+  serializeRecording,
+  parseRecording,
+  getChartId,
+  parseChartId,
+  InputEventType,
+  RECORDING_VERSION,
+} from './Recording.js';
+export {
+  systemClock,
+  animationFrameScheduler,
+  manualScheduler,
+  ManualClock,
+} from './Clock.js';
+export { simulate, DEFAULT_STEP_MS } from './Simulation.js';
+export {
+  ADAPTIVE_CONFIG,
+  ADAPTIVE_LEVELS,
+  AdaptiveReason,
+  chooseAdaptiveLevel,
+  getThinnedNoteIds,
+} from './Adaptive.js';
+export {
+  Duel,
+  DuelSplit,
+  DuelEvent,
+  DUEL_PLAYERS,
+  DEFAULT_SPLIT_MIDI,
+  LEFT_HALF_SHIFT,
+  routeDuelInput,
+  getDuelResults,
+} from './Duel.js';
@@ -0,0 +1,34 @@
+/**
+ * useAudioOutput - Hook for the audio output device in use
+ */
+
+import { useState, useEffect } from 'react';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+/**
+ * Hook that follows the speakers or headphones sound is played on
+ * @returns {object|null} Device from AudioEngine.getOutputDevice(), null until known
+ */
+export function useAudioOutput() {
+  const [device, setDevice] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      audioEngine.getOutputDevice().then(next => {
+        if (active) setDevice(next);
+      });
+    };
+
+    // Plugging in headphones changes the output
+    const mediaDevices = navigator.mediaDevices;
+    refresh();
+    mediaDevices?.addEventListener('devicechange', refresh);
+    return () => {
+      active = false;
+      mediaDevices?.removeEventListener('devicechange', refresh);
+    };
+  }, []);
+
+  return device;
+}
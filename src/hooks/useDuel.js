@@ -0,0 +1,140 @@
+/**
+ * useDuel - React hook for a two-player duel
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { Duel, DuelEvent } from '../engine/Duel.js';
+import { GameState } from '../engine/GameEngine.js';
+import { audioEngine } from '../audio/AudioEngine.js';
+
+/**
+ * Hook for managing a duel in React
+ */
+export function useDuel() {
+  // Created once; the players' engines are read while rendering the highways
+  const [duel] = useState(() => new Duel());
+  const [gameState, setGameState] = useState(GameState.IDLE);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const off = duel.on(DuelEvent.FINISH, (duelResults) => {
+      setResults(duelResults);
+      setGameState(GameState.FINISHED);
+      audioEngine.playSuccess();
+    });
+
+    return () => {
+      off();
+      duel.stop();
+    };
+  }, [duel]);
+
+  /**
+   * Load a chart for both players
+   */
+  const loadChart = useCallback((chartData) => {
+    duel.loadChart(chartData);
+    setGameState(GameState.IDLE);
+    setResults(null);
+  }, [duel]);
+
+  /**
+   * Choose how key presses are split between the players
+   */
+  const setInputSplit = useCallback((config) => {
+    duel.setInputSplit(config);
+  }, [duel]);
+
+  /**
+   * Set the tempo for both players
+   */
+  const setPlaybackRate = useCallback((rate) => {
+    duel.setPlaybackRate(rate);
+  }, [duel]);
+
+  /**
+   * Configure the count-in
+   */
+  const setCountIn = useCallback((bars, bpm) => {
+    duel.setCountIn(bars, bpm);
+  }, [duel]);
+
+  /**
+   * Start both players
+   */
+  const start = useCallback(() => {
+    duel.start();
+    setGameState(GameState.PLAYING);
+  }, [duel]);
+
+  /**
+   * Pause both players
+   */
+  const pause = useCallback(() => {
+    duel.pause();
+    setGameState(GameState.PAUSED);
+  }, [duel]);
+
+  /**
+   * Resume both players
+   */
+  const resume = useCallback(() => {
+    duel.resume();
+    setGameState(GameState.PLAYING);
+  }, [duel]);
+
+  /**
+   * Stop and reset
+   */
+  const stop = useCallback(() => {
+    duel.stop();
+    setGameState(GameState.IDLE);
+    setResults(null);
+  }, [duel]);
+
+  /**
+   * Handle a key press from the computer keyboard or a MIDI device
+   */
+  const handleKeyPress = useCallback((midiNote, deviceId, velocity) => {
+    return duel.handleKeyPress(midiNote, deviceId, velocity);
+  }, [duel]);
+
+  /**
+   * Handle a key release from the computer keyboard or a MIDI device
+   */
+  const handleKeyRelease = useCallback((midiNote, deviceId) => {
+    duel.handleKeyRelease(midiNote, deviceId);
+  }, [duel]);
+
+  /**
+   * Handle a key press on a player's own on-screen keyboard
+   */
+  const handlePlayerKeyPress = useCallback((player, midiNote) => {
+    return duel.handlePlayerKeyPress(player, midiNote);
+  }, [duel]);
+
+  /**
+   * Handle a key release on a player's own on-screen keyboard
+   */
+  const handlePlayerKeyRelease = useCallback((player, midiNote) => {
+    duel.handlePlayerKeyRelease(player, midiNote);
+  }, [duel]);
+
+  return {
+    gameState,
+    results,
+    loadChart,
+    setInputSplit,
+    setPlaybackRate,
+    setCountIn,
+    start,
+    pause,
+    resume,
+    stop,
+    handleKeyPress,
+    handleKeyRelease,
+    handlePlayerKeyPress,
+    handlePlayerKeyRelease,
+    duel,
+  };
+}
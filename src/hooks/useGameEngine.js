@@ -3,7 +3,8 @@
  */
 
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { GameEngine, GameState } from '../engine/GameEngine.js';
+import { GameEngine, GameState, GameEvent, PlayMode } from '../engine/GameEngine.js';
+import { InputEventType } from '../engine/Recording.js';
 import { audioEngine } from '../audio/AudioEngine.js';
 
 /**
@@ -22,35 +23,51 @@ export function useGameEngine() {
   });
   const [lastHit, setLastHit] = useState(null);
   const [results, setResults] = useState(null);
+  const [loop, setLoopState] = useState(null);
+  const [loopPasses, setLoopPasses] = useState([]);
 
   // Initialize engine on mount
   useEffect(() => {
-    const engine = new GameEngine({
-      onUpdate: (state) => {
-        setRenderState(prev => ({
-          ...prev,
-          ...state,
-        }));
-      },
-      onNoteHit: (hitInfo) => {
-        setLastHit(hitInfo);
-        // Clear hit indicator after a short delay
-        setTimeout(() => setLastHit(null), 300);
-      },
-      onNoteMiss: () => {
-        // Could add miss feedback here
-      },
-      onFinish: (summary) => {
-        setResults(summary);
-        setGameState(GameState.FINISHED);
+    const engine = new GameEngine();
+
+    engine.on(GameEvent.UPDATE, (state) => {
+      setRenderState(prev => ({
+        ...prev,
+        ...state,
+      }));
+    });
+    engine.on(GameEvent.NOTE_HIT, (hitInfo) => {
+      setLastHit(hitInfo);
+      // Clear hit indicator after a short delay
+      setTimeout(() => setLastHit(null), 300);
+    });
+    engine.on(GameEvent.FINISH, (summary) => {
+      setResults(summary);
+      setGameState(GameState.FINISHED);
+      if (summary.playMode !== PlayMode.DEMO) {
         audioEngine.playSuccess();
-      },
+      }
+    });
+    engine.on(GameEvent.LOOP_PASS, (pass) => {
+      setLoopPasses(prev => [...prev, pass]);
+    });
+    engine.on(GameEvent.COUNT_IN_BEAT, ({ isDownbeat }) => {
+      audioEngine.playMetronomeClick(isDownbeat);
+    });
+    engine.on(GameEvent.AUTOPLAY_NOTE, ({ note }) => {
+      audioEngine.playNote(note.midi, note.durationMs);
+    });
+    engine.on(GameEvent.REPLAY_INPUT, (event) => {
+      if (event.type === InputEventType.PRESS) {
+        audioEngine.playNote(event.midi, 400);
+      }
     });
 
     engineRef.current = engine;
 
     return () => {
       engine.stop();
+      engine.events.clear();
     };
   }, []);
 
@@ -62,6 +79,8 @@ export function useGameEngine() {
     engineRef.current.loadChart(chartData);
     setGameState(GameState.IDLE);
     setResults(null);
+    setLoopState(null);
+    setLoopPasses([]);
     setRenderState({
       currentTimeMs: 0,
       notes: [],
@@ -72,6 +91,78 @@ export function useGameEngine() {
     });
   }, []);
 
+  /**
+   * Set the play mode (normal or wait)
+   */
+  const setMode = useCallback((mode) => {
+    if (!engineRef.current) return;
+    engineRef.current.setMode(mode);
+  }, []);
+
+  /**
+   * Set the tempo as a fraction of the chart tempo
+   */
+  const setPlaybackRate = useCallback((rate) => {
+    if (!engineRef.current) return;
+    engineRef.current.setPlaybackRate(rate);
+  }, []);
+
+  /**
+   * Choose what a wrong key near an expected note does
+   */
+  const setWrongNotePolicy = useCallback((policy) => {
+    if (!engineRef.current) return;
+    engineRef.current.setWrongNotePolicy(policy);
+  }, []);
+
+  /**
+   * Practice one hand while the other is played for you (null = both hands)
+   */
+  const setPracticeHand = useCallback((hand) => {
+    if (!engineRef.current) return;
+    engineRef.current.setPracticeHand(hand);
+  }, []);
+
+  /**
+   * Turn adaptive difficulty on or off
+   */
+  const setAdaptive = useCallback((enabled) => {
+    if (!engineRef.current) return;
+    engineRef.current.setAdaptive(enabled);
+  }, []);
+
+  /**
+   * Configure the count-in (bars of metronome clicks before the song)
+   */
+  const setCountIn = useCallback((bars, bpm) => {
+    if (!engineRef.current) return;
+    engineRef.current.setCountIn(bars, bpm);
+  }, []);
+
+  /**
+   * Record every run of the loaded chart (see GameEngine.getRecording)
+   */
+  const enableRecording = useCallback((chartId) => {
+    if (!engineRef.current) return;
+    engineRef.current.enableRecording(chartId);
+  }, []);
+
+  /**
+   * Play back a recording instead of live input
+   */
+  const loadReplay = useCallback((recording) => {
+    if (!engineRef.current) return;
+    engineRef.current.loadReplay(recording);
+  }, []);
+
+  /**
+   * Apply calibrated input/audio offsets
+   */
+  const setLatencyOffsets = useCallback((offsets) => {
+    if (!engineRef.current) return;
+    engineRef.current.setLatencyOffsets(offsets);
+  }, []);
+
   /**
    * Start playing
    */
@@ -107,6 +198,8 @@ export function useGameEngine() {
     engineRef.current.stop();
     setGameState(GameState.IDLE);
     setResults(null);
+    setLoopState(null);
+    setLoopPasses([]);
   }, []);
 
   /**
@@ -117,14 +210,54 @@ export function useGameEngine() {
     engineRef.current.restart();
     setGameState(GameState.PLAYING);
     setResults(null);
+    setLoopState(null);
+    setLoopPasses([]);
+  }, []);
+
+  /**
+   * Loop a section of the song (A-B repeat)
+   */
+  const setLoop = useCallback((startMs, endMs) => {
+    if (!engineRef.current) return;
+    engineRef.current.setLoop(startMs, endMs);
+    setLoopState(engineRef.current.loop);
+    setLoopPasses([]);
+  }, []);
+
+  /**
+   * Stop looping and continue the song
+   */
+  const clearLoop = useCallback(() => {
+    if (!engineRef.current) return;
+    engineRef.current.clearLoop();
+    setLoopState(null);
+    setLoopPasses([]);
+  }, []);
+
+  /**
+   * Jump to a song time (ends any loop)
+   */
+  const seek = useCallback((timeMs) => {
+    if (!engineRef.current) return;
+    engineRef.current.seek(timeMs);
+    setLoopState(null);
+    setLoopPasses([]);
+  }, []);
+
+  /**
+   * Handle a key press (velocity only comes from MIDI keyboards)
+   */
+  const handleKeyPress = useCallback((midiNote, velocity) => {
+    if (!engineRef.current) return null;
+    return engineRef.current.handleKeyPress(midiNote, velocity);
   }, []);
 
   /**
-   * Handle a key press
+   * Handle a key release
    */
-  const handleKeyPress = useCallback((midiNote) => {
+  const handleKeyRelease = useCallback((midiNote) => {
     if (!engineRef.current) return null;
-    return engineRef.current.handleKeyPress(midiNote);
+    return engineRef.current.handleKeyRelease(midiNote);
   }, []);
 
   /**
@@ -140,13 +273,28 @@ export function useGameEngine() {
     renderState,
     lastHit,
     results,
+    loop,
+    loopPasses,
     loadChart,
+    setMode,
+    setPlaybackRate,
+    setLatencyOffsets,
+    setCountIn,
+    setAdaptive,
+    setWrongNotePolicy,
+    setPracticeHand,
+    enableRecording,
+    loadReplay,
     start,
     pause,
     resume,
     stop,
     restart,
+    setLoop,
+    clearLoop,
+    seek,
     handleKeyPress,
+    handleKeyRelease,
     getRenderState,
     engine: engineRef.current,
   };
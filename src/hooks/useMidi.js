@@ -7,8 +7,8 @@ import { midiInput } from '../midi/MidiInput.js';
 
 /**
  * Hook for managing MIDI input
- * @param {function} onNoteOn - Callback when note is pressed
- * @param {function} onNoteOff - Callback when note is released
+ * @param {function} onNoteOn - Callback when note is pressed (note, velocity, deviceId)
+ * @param {function} onNoteOff - Callback when note is released (note, deviceId)
  */
 export function useMidi(onNoteOn, onNoteOff) {
   const [isSupported] = useState(midiInput.isSupported);
@@ -36,15 +36,15 @@ export function useMidi(onNoteOn, onNoteOff) {
       setIsConnected(midiInput.isConnected);
 
       // Set up handlers
-      midiInput.setNoteOnHandler((note, velocity) => {
+      midiInput.setNoteOnHandler((note, velocity, deviceId) => {
         if (onNoteOnRef.current) {
-          onNoteOnRef.current(note, velocity);
+          onNoteOnRef.current(note, velocity, deviceId);
         }
       });
 
-      midiInput.setNoteOffHandler((note) => {
+      midiInput.setNoteOffHandler((note, deviceId) => {
         if (onNoteOffRef.current) {
-          onNoteOffRef.current(note);
+          onNoteOffRef.current(note, deviceId);
         }
       });
     }
@@ -72,7 +72,7 @@ export class MidiInput {
         manufacturer: input.manufacturer,
       });
 
-      input.onmidimessage = (event) => this.handleMidiMessage(event);
+      input.onmidimessage = (event) => this.handleMidiMessage(event, input.id);
     }
 
     this.isConnected = this.inputs.length > 0;
@@ -81,25 +81,26 @@ export class MidiInput {
   /**
    * Handle incoming MIDI messages
    * @param {MIDIMessageEvent} event
+   * @param {string} deviceId - Id of the input that sent it
    */
-  handleMidiMessage(event) {
+  handleMidiMessage(event, deviceId) {
     const [status, note, velocity] = event.data;
     const command = status & 0xf0;
 
     if (command === MIDI_NOTE_ON && velocity > 0) {
       if (this.onNoteOn) {
-        this.onNoteOn(note, velocity);
+        this.onNoteOn(note, velocity, deviceId);
       }
     } else if (command === MIDI_NOTE_OFF || (command === MIDI_NOTE_ON && velocity === 0)) {
       if (this.onNoteOff) {
-        this.onNoteOff(note);
+        this.onNoteOff(note, deviceId);
       }
     }
   }
 
   /**
    * Set note on callback
-   * @param {function} callback - (midiNote, velocity) => void
+   * @param {function} callback - (midiNote, velocity, deviceId) => void
    */
   setNoteOnHandler(callback) {
     this.onNoteOn = callback;
@@ -107,7 +108,7 @@ export class MidiInput {
 
   /**
    * Set note off callback
-   * @param {function} callback - (midiNote) => void
+   * @param {function} callback - (midiNote, deviceId) => void
    */
   setNoteOffHandler(callback) {
     this.onNoteOff = callback;
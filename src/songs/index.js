@@ -1,7 +1,13 @@
 /**
  * Song catalog and loading utilities
+ *
+ * A song without a hand-made simple or medium chart gets one generated
+ * from its master chart (the song's "master" entry, or its hard chart).
  */
 
+import { generateDifficulty, DIFFICULTY_RULES } from '../engine/DifficultyGenerator.js';
+import { Hand } from '../engine/ChartParser.js';
+
 // Import song metadata
 import twinkleMeta from './twinkle-twinkle/meta.json';
 import jingleMeta from './jingle-bells/meta.json';
@@ -290,6 +296,46 @@ export const SONGS = {
   },
 };
 
+// Generated charts by master chart, so a song keeps the same chart object
+const generatedCharts = new WeakMap();
+
+/**
+ * Get the full arrangement easier charts are generated from
+ * @param {object} song - SONGS entry
+ * @returns {object|null} Raw master chart
+ */
+function getMasterChart(song) {
+  return song.master ?? song.charts.hard ?? null;
+}
+
+/**
+ * Get a song's chart for a difficulty, hand-made or generated
+ * @param {object} song - SONGS entry ({charts, master})
+ * @param {string} difficulty - 'simple', 'medium', or 'hard'
+ * @returns {object|null} Raw chart data, or null if there is none
+ */
+export function getSongChart(song, difficulty) {
+  if (song.charts[difficulty]) return song.charts[difficulty];
+
+  const master = getMasterChart(song);
+  if (!master || !DIFFICULTY_RULES[difficulty]) return null;
+
+  if (!generatedCharts.has(master)) generatedCharts.set(master, {});
+  const charts = generatedCharts.get(master);
+  charts[difficulty] ??= generateDifficulty(master, difficulty);
+  return charts[difficulty];
+}
+
+/**
+ * Check whether a hand-made chart has notes for both hands
+ * @param {object} chart - Raw chart data (notes default to the right hand)
+ * @returns {boolean}
+ */
+function hasBothHands(chart) {
+  return chart.notes.some(note => note.hand === Hand.LEFT) &&
+    chart.notes.some(note => (note.hand ?? Hand.RIGHT) === Hand.RIGHT);
+}
+
 /**
  * Get list of all songs for display
  * @returns {Array} Array of song metadata objects
@@ -301,12 +347,19 @@ export function getSongList() {
     shortTitle: song.shortTitle,
     thumbnail: song.thumbnail,
     color: song.color,
-    difficulties: Object.keys(song.charts),
+    difficulties: Object.keys(DIFFICULTY_LABELS).filter(difficulty =>
+      song.charts[difficulty] || (getMasterChart(song) && DIFFICULTY_RULES[difficulty])
+    ),
+    // Difficulties where one hand can be practiced (generated charts drop the bass hand)
+    twoHandDifficulties: Object.keys(song.charts).filter(difficulty =>
+      hasBothHands(song.charts[difficulty])
+    ),
   }));
 }
 
 /**
  * Get a specific song with its chart
+ * Missing simple and medium charts are generated (see getSongChart()).
  * @param {string} songId - Song identifier
  * @param {string} difficulty - 'simple', 'medium', or 'hard'
  * @returns {object|null} Song data with selected chart
@@ -315,14 +368,17 @@ export function getSong(songId, difficulty = 'simple') {
   const song = SONGS[songId];
   if (!song) return null;
 
-  const chart = song.charts[difficulty];
+  const chart = getSongChart(song, difficulty);
   if (!chart) return null;
 
+  // Generated charts are stretched, so they count in slower too
+  const tempoScale = song.charts[difficulty] ? 1 : DIFFICULTY_RULES[difficulty].tempoScale;
+
   return {
     id: song.id,
     title: song.title,
     shortTitle: song.shortTitle,
-    bpm: song.bpm,
+    bpm: Math.round(song.bpm / tempoScale),
     color: song.color,
     thumbnail: song.thumbnail,
     difficulty,
@@ -0,0 +1,78 @@
+/**
+ * Tests for Adaptive module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  chooseAdaptiveLevel,
+  getThinnedNoteIds,
+  ADAPTIVE_CONFIG,
+  ADAPTIVE_LEVELS,
+} from '../engine/Adaptive.js';
+import { parseChart } from '../engine/ChartParser.js';
+
+describe('Adaptive', () => {
+  describe('chooseAdaptiveLevel', () => {
+    it('makes the song easier when the player struggles', () => {
+      expect(chooseAdaptiveLevel(0, ADAPTIVE_CONFIG.struggleAccuracy - 1)).toBe(1);
+    });
+
+    it('makes the song harder when the player is comfortable', () => {
+      expect(chooseAdaptiveLevel(2, ADAPTIVE_CONFIG.comfortAccuracy)).toBe(1);
+    });
+
+    it('keeps the level in between', () => {
+      expect(chooseAdaptiveLevel(1, 75)).toBe(1);
+    });
+
+    it('keeps the level without enough notes', () => {
+      expect(chooseAdaptiveLevel(1, null)).toBe(1);
+    });
+
+    it('stays within the level range', () => {
+      expect(chooseAdaptiveLevel(0, 100)).toBe(0);
+      expect(chooseAdaptiveLevel(ADAPTIVE_LEVELS.length - 1, 0)).toBe(ADAPTIVE_LEVELS.length - 1);
+    });
+  });
+
+  describe('getThinnedNoteIds', () => {
+    it('keeps only the top note of each chord', () => {
+      const { notes } = parseChart({
+        notes: [
+          { timeMs: 0, midi: 48 },
+          { timeMs: 0, midi: 64 },
+          { timeMs: 0, midi: 60 },
+          { timeMs: 500, midi: 62 },
+        ],
+      });
+      const thinned = getThinnedNoteIds(notes);
+
+      expect(notes.filter(n => thinned.has(n.id)).map(n => n.midi).sort()).toEqual([48, 60]);
+    });
+
+    it('never drops single melody notes', () => {
+      const { notes } = parseChart({ notes: [{ timeMs: 0, midi: 60 }, { timeMs: 500, midi: 67 }] });
+      expect(getThinnedNoteIds(notes).size).toBe(0);
+    });
+
+    it('drops left-hand and low accompaniment notes', () => {
+      const { notes } = parseChart({
+        notes: [
+          { timeMs: 0, midi: 48, hand: 'L' },
+          { timeMs: 0, midi: 64 },
+          { timeMs: 500, midi: 62, hand: 'L' },
+          { timeMs: 700, midi: 55 },
+          { timeMs: 1000, midi: 65 },
+        ],
+      });
+      const thinned = getThinnedNoteIds(notes);
+
+      expect(notes.filter(n => !thinned.has(n.id)).map(n => n.midi)).toEqual([64, 65]);
+    });
+
+    it('keeps a part that is all bass', () => {
+      const { notes } = parseChart({ notes: [{ timeMs: 0, midi: 48 }, { timeMs: 500, midi: 50 }] });
+      expect(getThinnedNoteIds(notes).size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for Calibration module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getTapOffsets,
+  computeOffset,
+  computeCalibration,
+  getInputDeviceKey,
+  getOutputDeviceKey,
+  loadCalibration,
+  saveCalibration,
+  CALIBRATION_CONFIG,
+  DEFAULT_LATENCY,
+} from '../engine/Calibration.js';
+
+describe('Calibration', () => {
+  describe('getTapOffsets', () => {
+    const beats = [0, 500, 1000, 1500];
+
+    it('returns signed offsets to the nearest tap', () => {
+      const offsets = getTapOffsets(beats, [30, 480, 1050, 1500], { beatMs: 500, warmupBeats: 0 });
+      expect(offsets).toEqual([30, -20, 50, 0]);
+    });
+
+    it('skips warmup beats', () => {
+      const offsets = getTapOffsets(beats, [30, 480, 1050, 1500], { beatMs: 500, warmupBeats: 2 });
+      expect(offsets).toEqual([50, 0]);
+    });
+
+    it('ignores beats without a tap nearby', () => {
+      const offsets = getTapOffsets(beats, [1010], { beatMs: 500, warmupBeats: 0 });
+      expect(offsets).toEqual([10]);
+    });
+  });
+
+  describe('computeOffset', () => {
+    it('returns the median offset', () => {
+      expect(computeOffset([80, 90, 100, 110, 500])).toBe(100);
+    });
+
+    it('averages the middle pair for an even count', () => {
+      expect(computeOffset([80, 90, 100, 110, 120, 130])).toBe(105);
+    });
+
+    it('returns null with too few taps', () => {
+      expect(computeOffset([100, 100])).toBeNull();
+    });
+
+    it('clamps to the max offset', () => {
+      expect(computeOffset([900, 900, 900, 900, 900])).toBe(CALIBRATION_CONFIG.maxOffsetMs);
+    });
+  });
+
+  describe('computeCalibration', () => {
+    it('separates input and audio offsets', () => {
+      const listen = [150, 150, 150, 150, 150];
+      const watch = [40, 40, 40, 40, 40];
+      expect(computeCalibration(listen, watch)).toEqual({
+        inputOffsetMs: 40,
+        audioOffsetMs: 110,
+      });
+    });
+
+    it('returns null when a phase has too few taps', () => {
+      expect(computeCalibration([100, 100, 100, 100, 100], [40])).toBeNull();
+    });
+  });
+
+  describe('getInputDeviceKey', () => {
+    it('uses the first MIDI device name', () => {
+      expect(getInputDeviceKey([{ id: '1', name: 'USB Piano' }])).toBe('midi:USB Piano');
+    });
+
+    it('falls back to the screen keyboard', () => {
+      expect(getInputDeviceKey([])).toBe('screen');
+    });
+  });
+
+  describe('getOutputDeviceKey', () => {
+    it('uses the output device name', () => {
+      expect(getOutputDeviceKey({ id: 'default', label: 'Headphones' })).toBe('audio:Headphones');
+    });
+
+    it('falls back to the device id', () => {
+      expect(getOutputDeviceKey({ id: 'default', label: '' })).toBe('audio:default');
+      expect(getOutputDeviceKey(null)).toBe('audio:default');
+    });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('returns default offsets for an uncalibrated device', () => {
+      expect(loadCalibration('screen', 'audio:default')).toEqual(DEFAULT_LATENCY);
+    });
+
+    it('saves offsets per device', () => {
+      saveCalibration('midi:USB Piano', 'audio:default', { inputOffsetMs: 60, audioOffsetMs: 120 });
+
+      expect(loadCalibration('midi:USB Piano', 'audio:default')).toEqual({ inputOffsetMs: 60, audioOffsetMs: 120 });
+      expect(loadCalibration('screen', 'audio:default')).toEqual({ inputOffsetMs: 0, audioOffsetMs: 120 });
+    });
+
+    it('keeps the audio offset with the output device', () => {
+      saveCalibration('midi:USB Piano', 'audio:Speakers', { inputOffsetMs: 60, audioOffsetMs: 20 });
+      saveCalibration('midi:USB Piano', 'audio:Headphones', { inputOffsetMs: 60, audioOffsetMs: 200 });
+
+      expect(loadCalibration('midi:USB Piano', 'audio:Speakers').audioOffsetMs).toBe(20);
+      expect(loadCalibration('midi:USB Piano', 'audio:Headphones').audioOffsetMs).toBe(200);
+      expect(loadCalibration('midi:USB Piano', 'audio:TV').audioOffsetMs).toBe(0);
+    });
+  });
+});
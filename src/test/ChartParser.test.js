@@ -8,6 +8,11 @@ import {
   simpleNotesToChart,
   getChartTimeRange,
   getVisibleNotes,
+  findNoteIndex,
+  groupChords,
+  getLyricLine,
+  Hand,
+  DEFAULT_TICKS_PER_BEAT,
   MIDI_TO_NOTE,
   NOTE_TO_MIDI,
 } from '../engine/ChartParser.js';
@@ -120,6 +125,284 @@ describe('ChartParser', () => {
       expect(() => parseChart({ notes: [{ timeMs: 0 }] })).toThrow('invalid midi');
       expect(() => parseChart({ notes: [{ timeMs: 0, midi: 200 }] })).toThrow('invalid midi');
     });
+
+    it('applies section dynamics, with note marks taking priority', () => {
+      const result = parseChart({
+        notes: [
+          { timeMs: 0, midi: 60 },
+          { timeMs: 500, midi: 62 },
+          { timeMs: 1000, midi: 64, dynamic: 'f' },
+          { timeMs: 1500, midi: 65 },
+        ],
+        dynamics: [
+          { time: 1500, dynamic: 'mf' },
+          { timeMs: 500, dynamic: 'p' },
+        ],
+      });
+
+      expect(result.notes.map(n => n.dynamic)).toEqual([null, 'p', 'f', 'mf']);
+    });
+
+    it('reads the hand of each note, right by default', () => {
+      const result = parseChart({
+        notes: [
+          { timeMs: 0, midi: 48, hand: 'L' },
+          { timeMs: 0, midi: 64 },
+        ],
+      });
+
+      expect(result.notes.map(n => n.hand)).toEqual([Hand.LEFT, Hand.RIGHT]);
+      expect(result.hands).toEqual([Hand.LEFT, Hand.RIGHT]);
+    });
+
+    it('throws on an invalid hand', () => {
+      expect(() => parseChart({ notes: [{ timeMs: 0, midi: 60, hand: 'left' }] })).toThrow('invalid hand');
+    });
+
+    it('reads the finger of each note, null when unmarked', () => {
+      const result = parseChart({
+        notes: [
+          { timeMs: 0, midi: 60, finger: 1 },
+          { timeMs: 500, midi: 62 },
+        ],
+      });
+
+      expect(result.notes.map(n => n.finger)).toEqual([1, null]);
+    });
+
+    it('throws on an invalid finger', () => {
+      expect(() => parseChart({ notes: [{ timeMs: 0, midi: 60, finger: 6 }] })).toThrow('invalid finger');
+      expect(() => parseChart({ notes: [{ timeMs: 0, midi: 60, finger: 1.5 }] })).toThrow('invalid finger');
+    });
+
+    it('throws on invalid dynamics', () => {
+      expect(() => parseChart({ notes: [{ timeMs: 0, midi: 60, dynamic: 'ff' }] })).toThrow('invalid dynamic');
+      expect(() => parseChart({ notes: [], dynamics: [{ timeMs: 0, dynamic: 'loud' }] })).toThrow('Invalid dynamics');
+    });
+
+    it('tags notes with the section they start in', () => {
+      const result = parseChart({
+        notes: [
+          { timeMs: 0, midi: 60 },
+          { timeMs: 1000, midi: 62 },
+          { timeMs: 2500, midi: 64 },
+        ],
+        sections: [
+          { name: 'Chorus', start: 2000, end: 3000 },
+          { name: 'Verse', startMs: 0, endMs: 1000 },
+        ],
+      });
+
+      expect(result.sections.map(s => s.name)).toEqual(['Verse', 'Chorus']);
+      expect(result.notes.map(n => n.sectionId)).toEqual(['section-0', null, 'section-1']);
+    });
+
+    it('throws on invalid or overlapping sections', () => {
+      expect(() => parseChart({ notes: [], sections: [{ name: 'Verse', startMs: 1000, endMs: 1000 }] }))
+        .toThrow('Invalid section at index 0');
+      expect(() => parseChart({ notes: [], sections: [{ startMs: 0, endMs: 1000 }] }))
+        .toThrow('Invalid section at index 0');
+      expect(() => parseChart({
+        notes: [],
+        sections: [
+          { name: 'Verse', startMs: 0, endMs: 2000 },
+          { name: 'Chorus', startMs: 1500, endMs: 3000 },
+        ],
+      })).toThrow('overlap');
+    });
+
+    it('times lyrics by note id or timestamp and splits them into lines', () => {
+      const result = parseChart({
+        notes: [
+          { timeMs: 0, midi: 64 },
+          { timeMs: 500, midi: 62 },
+          { timeMs: 1000, midi: 60 },
+        ],
+        lyrics: [
+          { timeMs: 1000, text: 'had', newLine: true },
+          { noteId: 'note-0', text: 'Ma-' },
+          { noteId: 'note-1', text: 'ry' },
+        ],
+      });
+
+      expect(result.lyrics).toEqual([
+        { id: 'lyric-0', text: 'Ma-', timeMs: 0, noteId: 'note-0', line: 0 },
+        { id: 'lyric-1', text: 'ry', timeMs: 500, noteId: 'note-1', line: 0 },
+        { id: 'lyric-2', text: 'had', timeMs: 1000, noteId: null, line: 1 },
+      ]);
+    });
+
+    it('throws on invalid lyrics', () => {
+      expect(() => parseChart({ notes: [], lyrics: {} })).toThrow('lyrics must be an array');
+      expect(() => parseChart({ notes: [], lyrics: [{ timeMs: 0, text: ' ' }] }))
+        .toThrow('Invalid lyric at index 0');
+      expect(() => parseChart({ notes: [], lyrics: [{ text: 'la' }] }))
+        .toThrow('Invalid lyric at index 0');
+      expect(() => parseChart({ notes: [], lyrics: [{ noteId: 'note-7', text: 'la' }] }))
+        .toThrow('unknown note "note-7"');
+    });
+  });
+
+  describe('beat charts', () => {
+    it('compiles beats and ticks to milliseconds', () => {
+      const result = parseChart({
+        tempo: 120,
+        notes: [
+          { beat: 0, midi: 60, beats: 1 },
+          { beat: 1.5, midi: 62, beats: 0.5 },
+          { tick: 2 * DEFAULT_TICKS_PER_BEAT, midi: 64, ticks: DEFAULT_TICKS_PER_BEAT * 2 },
+        ],
+      });
+
+      expect(result.notes.map(n => [n.timeMs, n.durationMs])).toEqual([[0, 500], [750, 250], [1000, 1000]]);
+      expect(result.timeSignature).toEqual({ beatsPerBar: 4, beatUnit: 4 });
+      expect(result.barTimes).toEqual([0, 2000]);
+    });
+
+    it('follows tempo changes, even inside a note', () => {
+      const result = parseChart({
+        tempo: [{ beat: 4, bpm: 60 }, { beat: 0, bpm: 120 }],
+        ticksPerBeat: 4,
+        notes: [
+          { beat: 3, midi: 60, beats: 2 },
+          { tick: 24, midi: 62 },
+        ],
+      });
+
+      expect(result.notes.map(n => [n.timeMs, n.durationMs])).toEqual([[1500, 1500], [4000, 400]]);
+      expect(result.tempoMap.map(change => change.timeMs)).toEqual([0, 2000]);
+    });
+
+    it('places dynamics, sections and lyrics on beats', () => {
+      const result = parseChart({
+        tempo: 60,
+        timeSignature: '3/4',
+        notes: [{ beat: 0, midi: 60 }, { beat: 3, midi: 62 }],
+        dynamics: [{ beat: 3, dynamic: 'f' }],
+        sections: [{ name: 'Verse', startBeat: 0, endBeat: 3 }],
+        lyrics: [{ beat: 3, text: 'la' }],
+      });
+
+      expect(result.notes.map(n => n.dynamic)).toEqual([null, 'f']);
+      expect(result.sections[0]).toMatchObject({ startMs: 0, endMs: 3000 });
+      expect(result.lyrics[0].timeMs).toBe(3000);
+      expect(result.barTimes).toEqual([0, 3000]);
+    });
+
+    it('leaves millisecond charts without a tempo map', () => {
+      const result = parseChart({ notes: [{ timeMs: 0, midi: 60 }] });
+
+      expect(result.tempoMap).toBeNull();
+      expect(result.timeSignature).toBeNull();
+      expect(result.barTimes).toEqual([]);
+    });
+
+    it('throws on notes without a beat and on an invalid meter', () => {
+      expect(() => parseChart({ tempo: 100, notes: [{ timeMs: 0, midi: 60 }] }))
+        .toThrow('Invalid note at index 0: invalid beat');
+      expect(() => parseChart({ tempo: 100, timeSignature: '3/5', notes: [] }))
+        .toThrow('invalid time signature');
+      expect(() => parseChart({ tempo: 100, ticksPerBeat: 0, notes: [] }))
+        .toThrow('invalid ticksPerBeat');
+    });
+  });
+
+  describe('getLyricLine', () => {
+    const { lyrics } = parseChart({
+      notes: [],
+      lyrics: [
+        { timeMs: 0, text: 'Twin-' },
+        { timeMs: 500, text: 'kle' },
+        { timeMs: 1000, text: 'lit-', newLine: true },
+        { timeMs: 1500, text: 'tle' },
+      ],
+    });
+
+    it('returns the line being sung and the next one', () => {
+      const line = getLyricLine(lyrics, 700);
+
+      expect(line.syllables.map(s => s.text)).toEqual(['Twin-', 'kle']);
+      expect(line.currentId).toBe('lyric-1');
+      expect(line.next.map(s => s.text)).toEqual(['lit-', 'tle']);
+    });
+
+    it('shows the first line before any syllable is sung', () => {
+      const line = getLyricLine(lyrics, -500);
+
+      expect(line.syllables.map(s => s.text)).toEqual(['Twin-', 'kle']);
+      expect(line.currentId).toBeNull();
+    });
+
+    it('moves to the next line when its first syllable starts', () => {
+      const line = getLyricLine(lyrics, 1000);
+
+      expect(line.currentId).toBe('lyric-2');
+      expect(line.next).toEqual([]);
+    });
+
+    it('returns null for a chart without lyrics', () => {
+      expect(getLyricLine([], 0)).toBeNull();
+    });
+
+    it('finds the line in a long lyrics track', () => {
+      const { lyrics: long } = parseChart({
+        notes: [],
+        lyrics: Array.from({ length: 400 }, (_, i) => ({
+          timeMs: i * 250,
+          text: `w${i}`,
+          newLine: i % 8 === 0,
+        })),
+      });
+      const line = getLyricLine(long, 250 * 203 + 100);
+
+      expect(line.currentId).toBe('lyric-203');
+      expect(line.syllables.map(s => s.text)).toEqual(
+        Array.from({ length: 8 }, (_, i) => `w${200 + i}`)
+      );
+      expect(line.next[0].text).toBe('w208');
+      expect(line.next).toHaveLength(8);
+    });
+  });
+
+  describe('groupChords', () => {
+    const chartData = {
+      notes: [
+        { timeMs: 0, midi: 60 },
+        { timeMs: 0, midi: 64 },
+        { timeMs: 0, midi: 67 },
+        { timeMs: 500, midi: 62 },
+        { timeMs: 1000, midi: 60 },
+        { timeMs: 1000, midi: 65 },
+      ],
+    };
+
+    it('groups notes that share a timeMs', () => {
+      const result = parseChart(chartData);
+
+      expect(result.chords).toHaveLength(2);
+      expect(result.chords[0]).toEqual({
+        id: 'chord-0',
+        timeMs: 0,
+        noteIds: ['note-0', 'note-1', 'note-2'],
+      });
+      expect(result.chords[1].timeMs).toBe(1000);
+    });
+
+    it('tags chord notes with chordId and chordSize', () => {
+      const result = parseChart(chartData);
+
+      expect(result.notes[0].chordId).toBe('chord-0');
+      expect(result.notes[2].chordSize).toBe(3);
+      expect(result.notes[5].chordId).toBe('chord-1');
+    });
+
+    it('leaves single notes out of chords', () => {
+      const notes = [{ id: 'a', timeMs: 0 }, { id: 'b', timeMs: 500 }];
+
+      expect(groupChords(notes)).toEqual([]);
+      expect(notes[0].chordId).toBeNull();
+      expect(notes[0].chordSize).toBe(1);
+    });
   });
 
   describe('simpleNotesToChart', () => {
@@ -173,6 +456,18 @@ describe('ChartParser', () => {
     });
   });
 
+  describe('findNoteIndex', () => {
+    const notes = [{ timeMs: 0 }, { timeMs: 500 }, { timeMs: 500 }, { timeMs: 1000 }];
+
+    it('finds the first note at or after a time', () => {
+      expect(findNoteIndex(notes, -100)).toBe(0);
+      expect(findNoteIndex(notes, 500)).toBe(1);
+      expect(findNoteIndex(notes, 501)).toBe(3);
+      expect(findNoteIndex(notes, 2000)).toBe(4);
+      expect(findNoteIndex([], 0)).toBe(0);
+    });
+  });
+
   describe('getVisibleNotes', () => {
     const notes = [
       { id: 'n1', timeMs: 0 },
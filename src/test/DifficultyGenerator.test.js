@@ -0,0 +1,152 @@
+/**
+ * Tests for DifficultyGenerator module and generated song charts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateDifficulty,
+  removeBassNotes,
+  dropChordsToTopNote,
+  mergeFastRepeats,
+  DIFFICULTY_RULES,
+} from '../engine/DifficultyGenerator.js';
+import { parseChart, Hand } from '../engine/ChartParser.js';
+import { lintChart, LintRule } from '../engine/ChartLint.js';
+import { SONGS, getSongChart } from '../songs/index.js';
+
+// Full arrangement: a bass note, a chord and a fast repeat
+const master = {
+  difficulty: 'hard',
+  notes: [
+    { timeMs: 0, midi: 48, durationMs: 900, hand: 'L' },
+    { timeMs: 0, midi: 60, durationMs: 400 },
+    { timeMs: 0, midi: 64, durationMs: 400, finger: 3 },
+    { timeMs: 500, midi: 67, durationMs: 100, dynamic: 'f' },
+    { timeMs: 600, midi: 67, durationMs: 100 },
+    { timeMs: 1000, midi: 65, durationMs: 400 },
+  ],
+  sections: [{ name: 'Verse', startMs: 0, endMs: 1400 }],
+  lyrics: [
+    { noteId: 'note-1', text: 'Hel-' },
+    { noteId: 'note-3', text: 'lo' },
+    { noteId: 'note-5', text: 'there', newLine: true },
+  ],
+};
+
+describe('DifficultyGenerator', () => {
+  const { notes } = parseChart(master);
+
+  describe('removeBassNotes', () => {
+    it('drops left-hand notes and notes below middle C', () => {
+      const bassless = removeBassNotes([
+        ...notes,
+        { ...notes[1], midi: 59 },
+        { ...notes[1], midi: 72, hand: Hand.LEFT },
+      ]);
+
+      expect(bassless.map(n => n.midi)).toEqual([60, 64, 67, 67, 65]);
+    });
+  });
+
+  describe('dropChordsToTopNote', () => {
+    it('keeps the highest note of each chord', () => {
+      expect(dropChordsToTopNote(notes).map(n => n.midi)).toEqual([64, 67, 67, 65]);
+    });
+  });
+
+  describe('mergeFastRepeats', () => {
+    it('holds a key through a fast repeat', () => {
+      const merged = mergeFastRepeats(notes, 150);
+
+      expect(merged.map(n => n.midi)).toEqual([48, 60, 64, 67, 65]);
+      expect(merged[3]).toMatchObject({ timeMs: 500, durationMs: 200 });
+      expect(notes[3].durationMs).toBe(100); // Input left alone
+    });
+
+    it('merges a run of repeats into one note', () => {
+      const run = parseChart({
+        notes: [0, 100, 200, 300].map(timeMs => ({ timeMs, midi: 60, durationMs: 80 })),
+      }).notes;
+
+      expect(mergeFastRepeats(run, 150)).toEqual([expect.objectContaining({ timeMs: 0, durationMs: 380 })]);
+    });
+
+    it('keeps repeats that are far enough apart', () => {
+      expect(mergeFastRepeats(notes, 100)).toHaveLength(notes.length);
+    });
+  });
+
+  describe('generateDifficulty', () => {
+    it('applies the simple rules in order', () => {
+      const simple = generateDifficulty(master, 'simple');
+      const scale = DIFFICULTY_RULES.simple.tempoScale;
+
+      expect(simple.difficulty).toBe('simple');
+      expect(simple.notes).toEqual([
+        { timeMs: 0, midi: 64, durationMs: 400 * scale, finger: 3 },
+        { timeMs: 500 * scale, midi: 67, durationMs: 200 * scale, dynamic: 'f' },
+        { timeMs: 1000 * scale, midi: 65, durationMs: 400 * scale },
+      ]);
+    });
+
+    it('keeps chords in medium', () => {
+      const medium = generateDifficulty(master, 'medium');
+
+      expect(medium.notes.map(n => n.midi)).toEqual([60, 64, 67, 65]);
+    });
+
+    it('moves sections and lyrics with the stretched tempo', () => {
+      const simple = parseChart(generateDifficulty(master, 'simple'));
+      const scale = DIFFICULTY_RULES.simple.tempoScale;
+
+      expect(simple.sections[0]).toMatchObject({ startMs: 0, endMs: 1400 * scale });
+      expect(simple.lyrics.map(s => [s.text, s.timeMs, s.line])).toEqual([
+        ['Hel-', 0, 0],
+        ['lo', 500 * scale, 0],
+        ['there', 1000 * scale, 1],
+      ]);
+    });
+
+    it('reads beat charts as masters', () => {
+      const simple = generateDifficulty({ tempo: 120, notes: [{ beat: 1, midi: 60, beats: 1 }] }, 'simple');
+
+      expect(simple.notes).toEqual([{ timeMs: 625, midi: 60, durationMs: 625 }]);
+    });
+
+    it('throws for a difficulty without rules', () => {
+      expect(() => generateDifficulty(master, 'hard')).toThrow('Invalid difficulty');
+    });
+  });
+
+  describe('song charts', () => {
+    it('prefers hand-made charts', () => {
+      const song = SONGS['mary-lamb'];
+
+      expect(getSongChart(song, 'simple')).toBe(song.charts.simple);
+    });
+
+    it('generates missing charts from the master once', () => {
+      const song = { id: 'test-song', charts: { hard: master } };
+      const simple = getSongChart(song, 'simple');
+
+      expect(simple.notes).toHaveLength(3);
+      expect(getSongChart(song, 'simple')).toBe(simple);
+      expect(getSongChart({ charts: { simple: master } }, 'medium')).toBeNull();
+    });
+
+    it.each(Object.values(SONGS).map(song => [song.id, song]))(
+      'generates easier charts without new lint issues for %s',
+      (_id, song) => {
+        for (const difficulty of Object.keys(DIFFICULTY_RULES)) {
+          const chart = generateDifficulty(song.charts.hard, difficulty);
+          // Pitches come from the master, whose range findings ChartLint.test.js tracks
+          const issues = lintChart(chart, { difficulty, midiRange: song.midiRange })
+            .filter(issue => issue.rule !== LintRule.KEYBOARD_RANGE && issue.rule !== LintRule.META_RANGE);
+
+          expect(issues.map(issue => issue.message)).toEqual([]);
+          expect(chart.notes.length).toBeGreaterThan(0);
+        }
+      }
+    );
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for Duel module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  Duel,
+  DuelEvent,
+  DuelSplit,
+  routeDuelInput,
+  getDuelResults,
+} from '../engine/Duel.js';
+import { GameState } from '../engine/GameEngine.js';
+import { HitResult } from '../engine/HitDetection.js';
+import { ManualClock, manualScheduler } from '../engine/Clock.js';
+
+const chart = {
+  notes: [
+    { timeMs: 0, midi: 60, durationMs: 300 },
+    { timeMs: 500, midi: 64, durationMs: 300 },
+    { timeMs: 1000, midi: 67, durationMs: 300 },
+  ],
+};
+
+describe('Duel', () => {
+  describe('routeDuelInput', () => {
+    const halves = { split: DuelSplit.KEYBOARD_HALF, splitMidi: 60 };
+
+    it('moves the left half up two octaves for player 1', () => {
+      expect(routeDuelInput(36, null, halves)).toEqual({ player: 0, midi: 60 });
+      expect(routeDuelInput(40, null, halves)).toEqual({ player: 0, midi: 64 });
+    });
+
+    it('gives the right half to player 2', () => {
+      expect(routeDuelInput(64, null, halves)).toEqual({ player: 1, midi: 64 });
+    });
+
+    it('lets both players reach the top note of the chart range', () => {
+      expect(routeDuelInput(48, null, halves)).toEqual({ player: 0, midi: 72 });
+      expect(routeDuelInput(72, null, halves)).toEqual({ player: 1, midi: 72 });
+    });
+
+    it('routes by MIDI device', () => {
+      const devices = { split: DuelSplit.MIDI_DEVICE, devices: ['a', 'b'] };
+      expect(routeDuelInput(60, 'b', devices)).toEqual({ player: 1, midi: 60 });
+      expect(routeDuelInput(60, 'c', devices)).toBeNull();
+    });
+  });
+
+  describe('getDuelResults', () => {
+    it('picks the higher score', () => {
+      const results = getDuelResults([{ score: 300, accuracy: 90 }, { score: 500, accuracy: 80 }]);
+      expect(results.winner).toBe(1);
+      expect(results.margin).toBe(200);
+    });
+
+    it('breaks score ties on accuracy', () => {
+      const results = getDuelResults([{ score: 300, accuracy: 90 }, { score: 300, accuracy: 80 }]);
+      expect(results.winner).toBe(0);
+    });
+
+    it('calls a draw', () => {
+      const results = getDuelResults([{ score: 300, accuracy: 90 }, { score: 300, accuracy: 90 }]);
+      expect(results.winner).toBeNull();
+    });
+  });
+
+  describe('Duel', () => {
+    // Play the chart, pressing inputs as [transportMs, midi] in order
+    function play(duel, clock, inputs) {
+      const pending = [...inputs];
+      duel.start();
+      while (duel.getState() === GameState.PLAYING && clock.now() < 5000) {
+        const now = duel.transport.getCurrentTimeMs();
+        while (pending.length && pending[0][0] <= now) {
+          duel.handleKeyPress(pending.shift()[1]);
+        }
+        duel.update();
+        clock.advance(10);
+      }
+    }
+
+    it('scores each player separately on one transport', () => {
+      const clock = new ManualClock();
+      const duel = new Duel({ clock, scheduler: manualScheduler });
+      duel.loadChart(chart);
+
+      expect(duel.players[0].transport).toBe(duel.players[1].transport);
+
+      // Player 1 (left half) plays every note, player 2 only the first
+      play(duel, clock, [[0, 36], [0, 60], [500, 40], [1000, 43]]);
+
+      const { players } = duel.getResults();
+      expect(players[0].hitCounts[HitResult.PERFECT]).toBe(3);
+      expect(players[1].hitCounts[HitResult.PERFECT]).toBe(1);
+      expect(players[1].hitCounts[HitResult.MISS]).toBe(2);
+    });
+
+    it('finishes once both players are done', () => {
+      const clock = new ManualClock();
+      const duel = new Duel({ clock, scheduler: manualScheduler });
+      const finishes = [];
+      duel.on(DuelEvent.FINISH, results => finishes.push(results));
+      duel.loadChart(chart);
+
+      play(duel, clock, [[0, 60], [500, 64], [1000, 67]]);
+
+      expect(duel.getState()).toBe(GameState.FINISHED);
+      expect(finishes).toHaveLength(1);
+      expect(finishes[0].winner).toBe(1);
+      expect(duel.transport.isPlaying).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for EventBus
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { EventBus } from '../engine/EventBus.js';
+
+describe('EventBus', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('calls subscribers with the payload', () => {
+    const bus = new EventBus(['hit']);
+    const handler = vi.fn();
+    bus.on('hit', handler);
+
+    bus.emit('hit', { midi: 60 });
+
+    expect(handler).toHaveBeenCalledWith({ midi: 60 });
+  });
+
+  it('stops calling a handler after unsubscribing', () => {
+    const bus = new EventBus(['hit']);
+    const handler = vi.fn();
+    const off = bus.on('hit', handler);
+
+    off();
+    bus.emit('hit', {});
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('calls a once handler a single time', () => {
+    const bus = new EventBus(['hit']);
+    const handler = vi.fn();
+    bus.once('hit', handler);
+
+    bus.emit('hit', {});
+    bus.emit('hit', {});
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('throws on an unknown event type', () => {
+    const bus = new EventBus(['hit']);
+    expect(() => bus.on('hti', () => {})).toThrow('Unknown event type: hti');
+    expect(() => bus.emit('hti', {})).toThrow('Unknown event type: hti');
+  });
+
+  it('keeps dispatching when a handler throws', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const bus = new EventBus(['hit']);
+    const handler = vi.fn();
+    bus.on('hit', () => { throw new Error('broken effect'); });
+    bus.on('hit', handler);
+
+    bus.emit('hit', {});
+
+    expect(handler).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('removes every subscription on clear', () => {
+    const bus = new EventBus(['hit', 'miss']);
+    const handler = vi.fn();
+    bus.on('hit', handler);
+    bus.on('miss', handler);
+
+    bus.clear();
+    bus.emit('hit', {});
+    bus.emit('miss', {});
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Benchmarks for the GameEngine hot paths
+ *
+ * Each path runs mid-song on charts of growing length. With the note
+ * cursor the cost per frame or key press should stay flat as the chart
+ * grows, rather than growing with the note count.
+ *
+ * Run with: npm run bench
+ */
+
+import { bench, describe } from 'vitest';
+import { GameEngine, WrongNotePolicy } from '../engine/GameEngine.js';
+import { ManualClock, manualScheduler } from '../engine/Clock.js';
+
+const CHART_SIZES = [500, 5000, 20000];
+const NOTE_SPACING_MS = 250;
+
+// A long melody on the keyboard range, with a two-note chord every 8 notes
+function createChart(noteCount) {
+  const notes = [];
+  for (let i = 0; notes.length < noteCount; i++) {
+    const timeMs = i * NOTE_SPACING_MS;
+    notes.push({ timeMs, midi: 60 + (i % 13), durationMs: 200 });
+    if (i % 8 === 0 && notes.length < noteCount) {
+      notes.push({ timeMs, midi: 48 + (i % 12), durationMs: 200 });
+    }
+  }
+  return { notes };
+}
+
+// An engine playing the chart, jumped to the middle of the song
+function createEngineMidSong(noteCount) {
+  const clock = new ManualClock();
+  const engine = new GameEngine({
+    clock,
+    scheduler: manualScheduler,
+    wrongNotePolicy: WrongNotePolicy.IGNORE,
+  });
+  engine.loadChart(createChart(noteCount));
+  engine.start();
+  engine.seek(engine.chart.duration / 2);
+  clock.advance(1000);
+  engine.update();
+  return engine;
+}
+
+describe('update() per frame', () => {
+  for (const size of CHART_SIZES) {
+    const engine = createEngineMidSong(size);
+    bench(`${size} notes`, () => {
+      engine.update();
+    });
+  }
+});
+
+describe('key press', () => {
+  for (const size of CHART_SIZES) {
+    const engine = createEngineMidSong(size);
+    bench(`${size} notes`, () => {
+      engine.handleKeyPress(100);
+    });
+  }
+});
+
+describe('getRenderState() per frame', () => {
+  for (const size of CHART_SIZES) {
+    const engine = createEngineMidSong(size);
+    bench(`${size} notes`, () => {
+      engine.getRenderState(600);
+    });
+  }
+});
@@ -0,0 +1,911 @@
+/**
+ * Tests for GameEngine, run headlessly through simulate()
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { simulate } from '../engine/Simulation.js';
+import { GameEngine, GameEvent, GameState, PlayMode, WrongNotePolicy } from '../engine/GameEngine.js';
+import { ManualClock, manualScheduler } from '../engine/Clock.js';
+import { HitResult, HoldResult, DynamicsResult } from '../engine/HitDetection.js';
+import { TimingTendency } from '../engine/Scoring.js';
+import { InputEventType } from '../engine/Recording.js';
+import { AdaptiveReason } from '../engine/Adaptive.js';
+
+const melody = {
+  notes: [
+    { timeMs: 0, midi: 60, durationMs: 300 },
+    { timeMs: 500, midi: 62, durationMs: 300 },
+    { timeMs: 1000, midi: 64, durationMs: 300 },
+    { timeMs: 1500, midi: 65, durationMs: 300 },
+  ],
+};
+
+// Press every note of the melody, offset by deltaMs
+function playMelody(deltaMs = 0) {
+  return melody.notes.map(note => ({ midi: note.midi, timeMs: note.timeMs + deltaMs }));
+}
+
+describe('GameEngine', () => {
+  describe('normal mode', () => {
+    it('scores a perfect run and finishes', () => {
+      const summary = simulate(melody, playMelody());
+
+      expect(summary.finished).toBe(true);
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(4);
+      expect(summary.accuracy).toBe(100);
+      expect(summary.maxStreak).toBe(4);
+    });
+
+    it('misses every note with no input', () => {
+      const summary = simulate(melody, []);
+
+      expect(summary.finished).toBe(true);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(4);
+      expect(summary.accuracy).toBe(0);
+      expect(summary.mistakes.every(m => m.deltaMs === null)).toBe(true);
+    });
+
+    it('does not depend on the frame step', () => {
+      const inputs = playMelody(75);
+      const fine = simulate(melody, inputs, { stepMs: 5 });
+      const coarse = simulate(melody, inputs, { stepMs: 40 });
+
+      expect(coarse).toEqual(fine);
+    });
+
+    it('keeps early offsets signed', () => {
+      const summary = simulate(melody, playMelody(-40));
+
+      expect(summary.timing.meanOffsetMs).toBe(-40);
+      expect(summary.timing.tendency).toBe(TimingTendency.RUSH);
+    });
+  });
+
+  describe('long charts', () => {
+    // One note every 250ms, cycling through the octave
+    const longChart = {
+      notes: Array.from({ length: 2000 }, (_, i) => ({ timeMs: i * 250, midi: 60 + (i % 12), durationMs: 200 })),
+    };
+
+    it('scores every note of a long chart', () => {
+      const inputs = longChart.notes
+        .filter((_, i) => i % 2 === 0)
+        .map(note => ({ midi: note.midi, timeMs: note.timeMs }));
+      const summary = simulate(longChart, inputs);
+
+      expect(summary.finished).toBe(true);
+      expect(summary.totalNotes).toBe(2000);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(1000);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(1000);
+    });
+
+    it('only renders the notes near the playhead', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler, lookAheadMs: 3000 });
+      engine.loadChart(longChart);
+      engine.start();
+      engine.seek(100000);
+
+      const { notes } = engine.getRenderState(600);
+      expect(notes.map(note => note.timeMs)).toEqual(
+        Array.from({ length: 15 }, (_, i) => 99500 + i * 250)
+      );
+    });
+  });
+
+  describe('settings', () => {
+    it('narrows hit windows in song time at half speed', () => {
+      // 100ms late in song time is 200ms in real time: past the good window
+      const summary = simulate(melody, playMelody(100), { settings: { playbackRate: 0.5 } });
+
+      expect(summary.hitCounts[HitResult.MISS]).toBe(4);
+      expect(summary.playbackRate).toBe(0.5);
+    });
+
+    it('measures timing offsets in real time at half speed', () => {
+      // 20ms late in song time is 40ms late in real time
+      const summary = simulate(melody, playMelody(20), { settings: { playbackRate: 0.5 } });
+
+      expect(summary.timing.meanOffsetMs).toBe(40);
+      expect(summary.timing.tendency).toBe(TimingTendency.DRAG);
+    });
+
+    it('corrects for input latency', () => {
+      const summary = simulate(melody, playMelody(50), {
+        settings: { latency: { inputOffsetMs: 50, audioOffsetMs: 0 } },
+      });
+
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(4);
+      expect(summary.timing.meanOffsetMs).toBe(0);
+    });
+
+    it('plays the count-in before the first note', () => {
+      const summary = simulate(melody, playMelody(), {
+        settings: { countIn: { bars: 1, bpm: 120, beatsPerBar: 4 } },
+      });
+
+      expect(summary.finished).toBe(true);
+      expect(summary.accuracy).toBe(100);
+    });
+
+    it('counts a beat chart in at its own tempo and meter', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart({ tempo: 60, timeSignature: '3/4', notes: [{ beat: 0, midi: 60 }] });
+      engine.setCountIn(1, 120, 4);
+      const beats = [];
+      engine.on(GameEvent.COUNT_IN_BEAT, beat => beats.push({ ...beat, timeMs: clock.now() }));
+
+      engine.start();
+      for (let i = 0; i < 3; i++) {
+        engine.update();
+        clock.advance(1000);
+      }
+
+      expect(beats.map(beat => beat.timeMs)).toEqual([0, 1000, 2000]);
+      expect(beats.map(beat => beat.isDownbeat)).toEqual([true, false, false]);
+      expect(beats[0].beats).toBe(3);
+    });
+  });
+
+  describe('wrong-note policy', () => {
+    // A wrong key (61) just before the 62, then the melody
+    const withWrongKey = [{ midi: 61, timeMs: 480 }, ...playMelody()];
+
+    const play = (policy, inputs = withWrongKey) =>
+      simulate(melody, inputs, { settings: { wrongNotePolicy: policy } });
+
+    it('penalizes without using up the note by default', () => {
+      const summary = simulate(melody, withWrongKey);
+
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.wrongAttempts).toBe(1);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(4);
+      expect(summary.accuracy).toBe(80); // 4 notes + 1 wrong key
+      expect(summary.mistakes[0]).toMatchObject({ expectedMidi: 62, actualMidi: 61 });
+    });
+
+    it('counts a penalized note that is then missed once', () => {
+      const summary = play(WrongNotePolicy.PENALIZE, [{ midi: 61, timeMs: 480 }]);
+
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(4);
+      expect(summary.wrongAttempts).toBe(1);
+    });
+
+    it('ignores wrong keys', () => {
+      const summary = play(WrongNotePolicy.IGNORE);
+
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.wrongAttempts).toBe(0);
+      expect(summary.accuracy).toBe(100);
+      expect(summary.maxStreak).toBe(4);
+    });
+
+    it('uses up the note as failed', () => {
+      const summary = play(WrongNotePolicy.CONSUME);
+
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.hitCounts[HitResult.WRONG_NOTE]).toBe(1);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(0);
+      expect(summary.accuracy).toBe(75);
+    });
+
+    it('uses up a whole chord', () => {
+      const chord = {
+        notes: [
+          { timeMs: 0, midi: 60, durationMs: 300 },
+          { timeMs: 0, midi: 64, durationMs: 300 },
+        ],
+      };
+      const summary = simulate(chord, [{ midi: 60, timeMs: 0 }, { midi: 62, timeMs: 10 }], {
+        settings: { wrongNotePolicy: WrongNotePolicy.CONSUME },
+      });
+
+      expect(summary.totalNotes).toBe(1);
+      expect(summary.hitCounts[HitResult.WRONG_NOTE]).toBe(1);
+    });
+  });
+
+  describe('chords', () => {
+    const chordChart = {
+      notes: [
+        { timeMs: 0, midi: 60, durationMs: 300 },
+        { timeMs: 0, midi: 64, durationMs: 300 },
+        { timeMs: 0, midi: 67, durationMs: 300 },
+      ],
+    };
+
+    it('scores a chord as one event', () => {
+      const summary = simulate(chordChart, [
+        { midi: 60, timeMs: -10 },
+        { midi: 64, timeMs: 0 },
+        { midi: 67, timeMs: 20 },
+      ]);
+
+      expect(summary.totalNotes).toBe(1);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(1);
+      expect(summary.maxStreak).toBe(1);
+    });
+
+    it('misses a chord whose keys are too far apart', () => {
+      const summary = simulate(chordChart, [
+        { midi: 60, timeMs: -90 },
+        { midi: 64, timeMs: 0 },
+        { midi: 67, timeMs: 90 },
+      ]);
+
+      expect(summary.totalNotes).toBe(1);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(1);
+    });
+  });
+
+  describe('hold notes', () => {
+    const holdChart = {
+      notes: [{ timeMs: 0, midi: 60, durationMs: 1000 }],
+    };
+
+    it('rewards holding to the end', () => {
+      const summary = simulate(holdChart, [{ midi: 60, timeMs: 0 }]);
+
+      expect(summary.holdCounts[HoldResult.FULL]).toBe(1);
+      expect(summary.score).toBe(130);
+    });
+
+    it('penalises an early release', () => {
+      const summary = simulate(holdChart, [
+        { midi: 60, timeMs: 0 },
+        { midi: 60, timeMs: 200, type: InputEventType.RELEASE },
+      ]);
+
+      expect(summary.holdCounts[HoldResult.SHORT]).toBe(1);
+      expect(summary.score).toBe(80);
+    });
+  });
+
+  describe('dynamics', () => {
+    const dynamicsChart = {
+      notes: [
+        { timeMs: 0, midi: 60, durationMs: 300 },
+        { timeMs: 500, midi: 62, durationMs: 300 },
+        { timeMs: 1000, midi: 64, durationMs: 300, dynamic: 'f' },
+        { timeMs: 1000, midi: 67, durationMs: 300, dynamic: 'f' },
+      ],
+      dynamics: [{ timeMs: 0, dynamic: 'p' }],
+    };
+
+    it('scores expression from MIDI velocity', () => {
+      const summary = simulate(dynamicsChart, [
+        { midi: 60, timeMs: 0, velocity: 40 },
+        { midi: 62, timeMs: 500, velocity: 70 },
+        { midi: 64, timeMs: 1000, velocity: 110 },
+        { midi: 67, timeMs: 1000, velocity: 20 },
+      ]);
+
+      expect(summary.expression.counts).toEqual({
+        [DynamicsResult.MATCH]: 2,
+        [DynamicsResult.CLOSE]: 1,
+        [DynamicsResult.OFF]: 1,
+      });
+      expect(summary.score).toBe(300);
+    });
+
+    it('does not judge input without velocity', () => {
+      const summary = simulate(dynamicsChart, [
+        { midi: 60, timeMs: 0 },
+        { midi: 62, timeMs: 500 },
+        { midi: 64, timeMs: 1000 },
+        { midi: 67, timeMs: 1000 },
+      ]);
+
+      expect(summary.expression).toBe(null);
+      expect(summary.accuracy).toBe(100);
+    });
+
+    it('records velocity for replays', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart(dynamicsChart);
+      engine.enableRecording('test/simple');
+      engine.start();
+
+      engine.handleKeyPress(60, 40);
+      engine.handleKeyPress(61);
+
+      const [withVelocity, without] = engine.getRecording().events;
+      expect(withVelocity.velocity).toBe(40);
+      expect(without).not.toHaveProperty('velocity');
+    });
+  });
+
+  describe('practice hand', () => {
+    const twoHandChart = {
+      notes: [
+        { timeMs: 0, midi: 48, durationMs: 300, hand: 'L' },
+        { timeMs: 0, midi: 64, durationMs: 300, hand: 'R' },
+        { timeMs: 500, midi: 65, durationMs: 300, hand: 'R' },
+        { timeMs: 1000, midi: 43, durationMs: 300, hand: 'L' },
+      ],
+    };
+
+    it('scores only the practiced hand and autoplays the other', () => {
+      const autoplayed = [];
+      const summary = simulate(twoHandChart, [
+        { midi: 64, timeMs: 0 },
+        { midi: 65, timeMs: 500 },
+      ], {
+        settings: { practiceHand: 'R' },
+        setup: (engine) => engine.on(GameEvent.AUTOPLAY_NOTE, ({ note }) => autoplayed.push(note.midi)),
+      });
+
+      expect(summary.finished).toBe(true);
+      expect(summary.totalNotes).toBe(2);
+      expect(summary.accuracy).toBe(100);
+      expect(summary.practiceHand).toBe('R');
+      expect(autoplayed).toEqual([48, 43]);
+    });
+
+    it('plays autoplayed notes ahead of the playhead by the audio offset', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart(twoHandChart);
+      engine.setPracticeHand('R');
+      engine.setLatencyOffsets({ audioOffsetMs: 150 });
+      const autoplayed = [];
+      engine.on(GameEvent.AUTOPLAY_NOTE, ({ note }) => autoplayed.push({ midi: note.midi, timeMs: clock.now() }));
+
+      engine.start();
+      engine.update();
+      clock.advance(1000);
+      engine.update();
+
+      // Sound played at transport time 1000 is heard at 1150, when the
+      // highway (150ms behind) shows the note on the hit line
+      expect(engine.getPlayheadMs()).toBe(850);
+      expect(autoplayed).toEqual([{ midi: 48, timeMs: 0 }, { midi: 43, timeMs: 1000 }]);
+    });
+
+    it('judges a split chord on the practiced keys only', () => {
+      const summary = simulate(twoHandChart, [{ midi: 48, timeMs: 0 }], {
+        settings: { practiceHand: 'L' },
+      });
+
+      expect(summary.totalNotes).toBe(2);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(1);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(1);
+    });
+
+    it('plays both hands when the chart has only one', () => {
+      const summary = simulate(melody, playMelody(), { settings: { practiceHand: 'L' } });
+
+      expect(summary.totalNotes).toBe(4);
+      expect(summary.practiceHand).toBe(null);
+    });
+  });
+
+  describe('demo mode', () => {
+    it('plays every note itself and scores nothing', () => {
+      const autoplayed = [];
+      const summary = simulate(melody, [], {
+        settings: { mode: PlayMode.DEMO },
+        setup: (engine) => engine.on(GameEvent.AUTOPLAY_NOTE, ({ note }) => autoplayed.push(note.midi)),
+      });
+
+      expect(summary.finished).toBe(true);
+      expect(summary.playMode).toBe(PlayMode.DEMO);
+      expect(summary.totalNotes).toBe(0);
+      expect(summary.score).toBe(0);
+      expect(autoplayed).toEqual([60, 62, 64, 65]);
+    });
+
+    it('ignores keys and records nothing', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler, mode: PlayMode.DEMO });
+      engine.loadChart(melody);
+      engine.enableRecording('test/simple');
+      engine.start();
+
+      expect(engine.handleKeyPress(60)).toBe(null);
+      expect(engine.getRecording()).toBe(null);
+    });
+  });
+
+  describe('sections', () => {
+    it('reports accuracy per section of the chart', () => {
+      const summary = simulate({
+        ...melody,
+        sections: [
+          { name: 'Verse', startMs: 0, endMs: 1000 },
+          { name: 'Chorus', startMs: 1000, endMs: 2000 },
+        ],
+      }, [
+        { midi: 60, timeMs: 0 },
+        { midi: 62, timeMs: 500 },
+        { midi: 64, timeMs: 1000 },
+      ]);
+
+      expect(summary.sections.map(s => [s.name, s.judged, s.mistakes])).toEqual([
+        ['Verse', 2, 0],
+        ['Chorus', 2, 1],
+      ]);
+      expect(summary.mistakes[0].sectionId).toBe('section-1');
+    });
+  });
+
+  describe('seeking', () => {
+    it('skips the notes jumped over instead of missing them', () => {
+      const summary = simulate(melody, [
+        { midi: 60, timeMs: 0 },
+        { type: InputEventType.SEEK, toMs: 1000, timeMs: 200 },
+        { midi: 64, timeMs: 1000 },
+        { midi: 65, timeMs: 1500 },
+      ]);
+
+      expect(summary.finished).toBe(true);
+      expect(summary.totalNotes).toBe(2);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(2);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(0);
+    });
+
+    it('makes notes after the target playable again', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart(melody);
+      engine.start();
+
+      clock.advance(1200);
+      engine.update();
+      expect(engine.getSummary().hitCounts[HitResult.MISS]).toBe(3);
+
+      engine.seek(400);
+      expect(engine.notes.map(note => note.hit)).toEqual([true, false, false, false]);
+      expect(engine.getSummary().hitCounts[HitResult.MISS]).toBe(0);
+
+      clock.advance(100);
+      expect(engine.handleKeyPress(62).hitResult).toBe(HitResult.PERFECT);
+    });
+  });
+
+  describe('loops', () => {
+    // Run the engine frame by frame for ms of real time
+    function run(engine, clock, ms) {
+      for (let t = 0; t < ms; t += 10) {
+        clock.advance(10);
+        engine.update();
+      }
+    }
+
+    // Run until the transport reaches timeMs
+    function runTo(engine, clock, timeMs) {
+      while (engine.transport.getCurrentTimeMs() < timeMs) {
+        clock.advance(10);
+        engine.update();
+      }
+    }
+
+    // Run until the given pass has finished (gives up after 5s)
+    function runToPass(engine, clock, passes, pass) {
+      for (let t = 0; passes.length < pass && t < 5000; t += 10) {
+        clock.advance(10);
+        engine.update();
+      }
+    }
+
+    function startLoop(startMs, endMs) {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      const passes = [];
+      engine.on(GameEvent.LOOP_PASS, pass => passes.push(pass));
+      engine.loadChart(melody);
+      engine.start();
+      engine.setLoop(startMs, endMs);
+      return { clock, engine, passes };
+    }
+
+    it('rejects a loop that ends before it starts', () => {
+      const { engine } = startLoop(500, 1500);
+
+      expect(() => engine.setLoop(1000, 1000)).toThrow('Invalid loop');
+    });
+
+    it('judges only the notes inside the loop', () => {
+      const { clock, engine, passes } = startLoop(500, 1500);
+      runTo(engine, clock, 500);
+      engine.handleKeyPress(62);
+      runTo(engine, clock, 1000);
+      engine.handleKeyPress(64);
+      runTo(engine, clock, 1400);
+
+      const summary = engine.getSummary();
+      expect(summary.totalNotes).toBe(2);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(2);
+      expect(engine.notes.map(note => note.hit)).toEqual([false, true, true, false]);
+      expect(passes).toHaveLength(0);
+    });
+
+    it('wraps to the lead-in once the last loop note is judged', () => {
+      const { clock, engine, passes } = startLoop(500, 1500);
+      const good = engine.getHitWindows().good;
+      runTo(engine, clock, 1500 + good - 10);
+      expect(passes).toHaveLength(0);
+
+      run(engine, clock, 20);
+      expect(passes).toHaveLength(1);
+      // One second before the loop start, clamped to the song start
+      expect(engine.getPlayheadMs()).toBeLessThan(20);
+      expect(engine.state).toBe(GameState.PLAYING);
+    });
+
+    it('scores each pass on its own and resets the loop notes', () => {
+      const { clock, engine, passes } = startLoop(500, 1500);
+
+      // Pass 1: hit the first note, miss the second
+      runTo(engine, clock, 500);
+      engine.handleKeyPress(62);
+      runToPass(engine, clock, passes, 1);
+      expect(engine.notes.map(note => note.hit)).toEqual([false, false, false, false]);
+      expect(engine.getSummary().totalNotes).toBe(0);
+
+      // Pass 2: hit both
+      runTo(engine, clock, 500);
+      engine.handleKeyPress(62);
+      runTo(engine, clock, 1000);
+      engine.handleKeyPress(64);
+      runToPass(engine, clock, passes, 2);
+
+      expect(passes.map(pass => pass.pass)).toEqual([1, 2]);
+      expect(passes[0].hitCounts[HitResult.PERFECT]).toBe(1);
+      expect(passes[0].hitCounts[HitResult.MISS]).toBe(1);
+      expect(passes[1].hitCounts[HitResult.PERFECT]).toBe(2);
+      expect(passes[1].hitCounts[HitResult.MISS]).toBe(0);
+      expect(passes.every(pass => pass.totalNotes === 2)).toBe(true);
+    });
+
+    it('counts a loop set during the count-in into the loop start', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      const beats = [];
+      engine.on(GameEvent.COUNT_IN_BEAT, () => beats.push(engine.getPlayheadMs()));
+      engine.loadChart(melody);
+      engine.setCountIn(1, 120, 4);
+      engine.start();
+      engine.setLoop(1000, 1500);
+
+      // One bar of 500ms beats, ending on the loop start
+      expect(engine.getPlayheadMs()).toBe(-1000);
+      engine.update();
+      runTo(engine, clock, 1000);
+      expect(beats).toEqual([-1000, -500, 0, 500]);
+      expect(engine.handleKeyPress(64).hitResult).toBe(HitResult.PERFECT);
+      expect(engine.getCountInStatus()).toBeNull();
+    });
+
+    it('continues the song after the loop is cleared', () => {
+      const { clock, engine, passes } = startLoop(500, 1500);
+      runTo(engine, clock, 1200);
+      engine.clearLoop();
+
+      expect(engine.loop).toBeNull();
+      expect(engine.getSummary().totalNotes).toBe(0);
+
+      runTo(engine, clock, 1500);
+      engine.handleKeyPress(65);
+      run(engine, clock, 1000);
+
+      const summary = engine.getSummary();
+      expect(engine.state).toBe(GameState.FINISHED);
+      expect(summary.totalNotes).toBe(1);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(1);
+      expect(passes).toHaveLength(0);
+    });
+  });
+
+  describe('wait mode', () => {
+    // Run the engine in 30ms frames for ms of real time
+    function run(engine, clock, ms) {
+      for (let t = 0; t < ms; t += 30) {
+        clock.advance(30);
+        engine.update();
+      }
+    }
+
+    it('finishes once every note is played', () => {
+      const summary = simulate(melody, playMelody(), { settings: { mode: PlayMode.WAIT } });
+
+      expect(summary.finished).toBe(true);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(4);
+    });
+
+    it('waits at the first note instead of missing it', () => {
+      const summary = simulate(melody, [], {
+        settings: { mode: PlayMode.WAIT },
+        maxTimeMs: 5000,
+      });
+
+      expect(summary.finished).toBe(false);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(0);
+    });
+
+    it('freezes the transport at the next note and resumes on the right key', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      const waits = [];
+      engine.on(GameEvent.WAIT_START, ({ notes }) => waits.push(notes.map(note => note.midi)));
+      engine.loadChart(melody);
+      engine.setMode(PlayMode.WAIT);
+      engine.start();
+      engine.handleKeyPress(60);
+
+      // Frames overshoot the note; the highway stops exactly on it
+      run(engine, clock, 3000);
+      expect(waits).toEqual([[62]]);
+      expect(engine.transport.isPaused).toBe(true);
+      expect(engine.getPlayheadMs()).toBe(500);
+
+      // A wrong key keeps it frozen
+      engine.handleKeyPress(61);
+      clock.advance(100);
+      engine.update();
+      expect(engine.isWaiting()).toBe(true);
+      expect(engine.getPlayheadMs()).toBe(500);
+
+      engine.handleKeyPress(62);
+      expect(engine.isWaiting()).toBe(false);
+      expect(engine.transport.isPaused).toBe(false);
+      clock.advance(100);
+      engine.update();
+      expect(engine.getPlayheadMs()).toBe(600);
+    });
+
+    it('never misses a note however late it is played', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart(melody);
+      engine.setMode(PlayMode.WAIT);
+      engine.start();
+
+      // Leave each note waiting for three seconds before playing it
+      for (const note of melody.notes) {
+        run(engine, clock, 3000);
+        expect(engine.isWaiting()).toBe(true);
+        engine.handleKeyPress(note.midi);
+      }
+      run(engine, clock, 3000);
+
+      const summary = engine.getSummary();
+      expect(engine.state).toBe(GameState.FINISHED);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBe(4);
+      expect(summary.hitCounts[HitResult.MISS]).toBe(0);
+      expect(summary.mistakes).toEqual([]);
+    });
+
+    it('charges wrong keys only to the note they were played for', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart({ notes: [{ timeMs: 500, midi: 60 }, { timeMs: 1500, midi: 62 }] });
+      engine.setMode(PlayMode.WAIT);
+      engine.start();
+
+      // Played early, before the highway stops, after two wrong keys
+      clock.advance(450);
+      engine.update();
+      engine.handleKeyPress(61);
+      engine.handleKeyPress(61);
+      expect(engine.handleKeyPress(60).hitResult).toBe(HitResult.GOOD);
+
+      run(engine, clock, 1200);
+      expect(engine.isWaiting()).toBe(true);
+      expect(engine.handleKeyPress(62).hitResult).toBe(HitResult.PERFECT);
+    });
+
+    it('replays a run with wrong keys during the freezes to the same summary', () => {
+      const chart = { notes: [{ timeMs: 500, midi: 60 }, { timeMs: 1500, midi: 62 }] };
+      const clock = new ManualClock();
+      const live = new GameEngine({ clock, scheduler: manualScheduler });
+      live.loadChart(chart);
+      live.setMode(PlayMode.WAIT);
+      live.enableRecording('test/wait');
+      live.start();
+
+      // One wrong key at each freeze
+      for (const keys of [[61, 60], [61, 62]]) {
+        while (!live.isWaiting()) {
+          clock.advance(30);
+          live.update();
+        }
+        run(live, clock, 300);
+        keys.forEach(midi => live.handleKeyPress(midi));
+      }
+      run(live, clock, 1500);
+
+      const summary = live.getSummary();
+      expect(live.state).toBe(GameState.FINISHED);
+      expect(summary.hitCounts[HitResult.GREAT]).toBe(2);
+
+      for (const stepMs of [5, 16, 50]) {
+        const replayClock = new ManualClock();
+        const replay = new GameEngine({ clock: replayClock, scheduler: manualScheduler });
+        replay.loadChart(chart);
+        replay.loadReplay(live.getRecording());
+        replay.start();
+        for (let t = 0; replay.state === GameState.PLAYING && t < 10000; t += stepMs) {
+          replayClock.advance(stepMs);
+          replay.update();
+        }
+
+        expect(replay.state).toBe(GameState.FINISHED);
+        expect(replay.getSummary()).toEqual(summary);
+      }
+    });
+  });
+
+  describe('events', () => {
+    // Collect the payloads of the given events during a simulated run
+    function collect(types, chart, inputs, options = {}) {
+      const seen = Object.fromEntries(types.map(type => [type, []]));
+      const summary = simulate(chart, inputs, {
+        ...options,
+        setup: (engine) => {
+          types.forEach(type => engine.on(type, payload => seen[type].push(payload)));
+        },
+      });
+      return { seen, summary };
+    }
+
+    it('publishes hits, misses and wrong notes', () => {
+      const { seen } = collect(
+        [GameEvent.NOTE_HIT, GameEvent.NOTE_MISS, GameEvent.WRONG_NOTE],
+        melody,
+        [{ midi: 60, timeMs: 0 }, { midi: 61, timeMs: 500 }, { midi: 64, timeMs: 1000 }]
+      );
+
+      expect(seen[GameEvent.NOTE_HIT].map(e => e.note.midi)).toEqual([60, 64]);
+      expect(seen[GameEvent.NOTE_MISS].map(e => e.note.midi)).toEqual([62, 65]);
+      expect(seen[GameEvent.WRONG_NOTE][0]).toMatchObject({ midi: 61, delta: 0 });
+      expect(seen[GameEvent.WRONG_NOTE][0].expectedNote.midi).toBe(62);
+    });
+
+    it('publishes streak breaks and multiplier changes', () => {
+      const scale = {
+        notes: Array.from({ length: 12 }, (_, i) => ({ timeMs: i * 300, midi: 60, durationMs: 200 })),
+      };
+      // Miss the last note after 11 hits
+      const inputs = scale.notes.slice(0, 11).map(note => ({ midi: 60, timeMs: note.timeMs }));
+      const { seen } = collect(
+        [GameEvent.STREAK_BREAK, GameEvent.MULTIPLIER_CHANGE, GameEvent.FINISH],
+        scale,
+        inputs
+      );
+
+      expect(seen[GameEvent.MULTIPLIER_CHANGE]).toEqual([
+        { multiplier: 2, previous: 1 },
+        { multiplier: 1, previous: 2 },
+      ]);
+      expect(seen[GameEvent.STREAK_BREAK]).toEqual([{ streak: 11 }]);
+      expect(seen[GameEvent.FINISH]).toHaveLength(1);
+    });
+
+    it('publishes wait mode stops', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler, mode: PlayMode.WAIT });
+      const onWaitStart = vi.fn();
+      const onWaitEnd = vi.fn();
+      engine.on(GameEvent.WAIT_START, onWaitStart);
+      engine.on(GameEvent.WAIT_END, onWaitEnd);
+
+      engine.loadChart(melody);
+      engine.start();
+      clock.advance(100);
+      engine.update();
+
+      expect(onWaitStart).toHaveBeenCalledTimes(1);
+      expect(onWaitStart.mock.calls[0][0].notes.map(n => n.midi)).toEqual([60]);
+
+      engine.handleKeyPress(60);
+      expect(onWaitEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('publishes pause and resume', () => {
+      const engine = new GameEngine({ clock: new ManualClock(), scheduler: manualScheduler });
+      const onPause = vi.fn();
+      const onResume = vi.fn();
+      engine.on(GameEvent.PAUSE, onPause);
+      const off = engine.on(GameEvent.RESUME, onResume);
+
+      engine.loadChart(melody);
+      engine.start();
+      engine.pause();
+      engine.resume();
+      off();
+      engine.pause();
+      engine.resume();
+
+      expect(onPause).toHaveBeenCalledTimes(2);
+      expect(onResume).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('adaptive difficulty', () => {
+    // Two-note chords every 400ms
+    const chordChart = {
+      notes: Array.from({ length: 40 }, (_, i) => [
+        { timeMs: i * 400, midi: 60, durationMs: 300 },
+        { timeMs: i * 400, midi: 67, durationMs: 300 },
+      ]).flat(),
+    };
+
+    // Play only the top note of every chord
+    const topNotesOnly = Array.from({ length: 40 }, (_, i) => ({ midi: 67, timeMs: i * 400 }));
+
+    it('is off unless enabled', () => {
+      const summary = simulate(chordChart, topNotesOnly);
+      expect(summary.adaptive).toBeNull();
+    });
+
+    it('makes the song easier for a struggling player', () => {
+      const summary = simulate(chordChart, topNotesOnly, { settings: { adaptive: true } });
+      const levels = summary.adaptive.changes.map(c => c.level);
+
+      expect(levels.slice(0, 3)).toEqual([1, 2, 3]);
+      expect(summary.adaptive.changes[0].reason).toBe(AdaptiveReason.STRUGGLING);
+      expect(summary.adaptive.changes[1].rateScale).toBeLessThan(1);
+      expect(summary.adaptive.thinnedNotes).toBeGreaterThan(0);
+      // The chosen tempo is reported, not the adapted one
+      expect(summary.playbackRate).toBe(1);
+    });
+
+    it('scores thinned chords on their top note', () => {
+      const summary = simulate(chordChart, topNotesOnly, { settings: { adaptive: true } });
+
+      // Once chords are thinned the player catches up and difficulty comes back
+      expect(summary.adaptive.changes.some(c => c.reason === AdaptiveReason.IMPROVING)).toBe(true);
+      expect(summary.hitCounts[HitResult.PERFECT]).toBeGreaterThan(0);
+      expect(summary.finished).toBe(true);
+    });
+
+    it('thins the bass only when the player plays the melody too', () => {
+      const clock = new ManualClock();
+      const engine = new GameEngine({ clock, scheduler: manualScheduler });
+      engine.loadChart({
+        notes: [
+          { timeMs: 0, midi: 48, hand: 'L' },
+          { timeMs: 0, midi: 64 },
+          { timeMs: 500, midi: 43, hand: 'L' },
+          { timeMs: 500, midi: 65 },
+        ],
+      });
+
+      engine.start();
+      engine.setChordThinning(true, 0);
+      expect(engine.notes.filter(n => n.thinned).map(n => n.midi)).toEqual([48, 43]);
+
+      // Practicing the left hand, the bass is the whole part
+      engine.stop();
+      engine.setPracticeHand('L');
+      engine.start();
+      engine.setChordThinning(true, 0);
+      expect(engine.notes.filter(n => n.thinned)).toEqual([]);
+    });
+
+    it('leaves a strong player at the written difficulty', () => {
+      const allNotes = chordChart.notes.map(note => ({ midi: note.midi, timeMs: note.timeMs }));
+      const summary = simulate(chordChart, allNotes, { settings: { adaptive: true } });
+
+      expect(summary.adaptive.changes).toEqual([]);
+      expect(summary.accuracy).toBe(100);
+    });
+
+    it('publishes level changes', () => {
+      const changes = [];
+      simulate(chordChart, topNotesOnly, {
+        settings: { adaptive: true },
+        setup: (engine) => engine.on(GameEvent.ADAPTIVE_CHANGE, change => changes.push(change)),
+      });
+
+      expect(changes[0]).toMatchObject({ level: 1, previous: 0, windowScale: 1.5, playbackRate: 1 });
+      expect(changes[1].playbackRate).toBe(0.85);
+    });
+  });
+});
+
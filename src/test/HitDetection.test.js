@@ -8,8 +8,17 @@ import {
   isNoteMissed,
   isNoteHittable,
   findBestMatch,
+  judgeChord,
+  isHoldNote,
+  classifyHold,
+  classifyDynamics,
+  getVelocityDynamic,
   HitResult,
+  HoldResult,
+  Dynamic,
+  DynamicsResult,
   DEFAULT_HIT_WINDOWS,
+  DEFAULT_CHORD_SPREAD_MS,
 } from '../engine/HitDetection.js';
 
 describe('HitDetection', () => {
@@ -98,6 +107,11 @@ describe('HitDetection', () => {
       expect(result.hitResult).toBe(HitResult.PERFECT);
     });
 
+    it('keeps the sign of the delta', () => {
+      expect(findBestMatch(60, 970, notes).delta).toBe(-30);
+      expect(findBestMatch(60, 1050, notes).delta).toBe(50);
+    });
+
     it('returns null when no matching note', () => {
       const result = findBestMatch(64, 1050, notes);
       expect(result).toBeNull();
@@ -126,4 +140,95 @@ describe('HitDetection', () => {
       expect(result.note.id).toBe('n2'); // Closer to 1100
     });
   });
+
+  describe('isHoldNote', () => {
+    it('judges long notes on release', () => {
+      expect(isHoldNote({ durationMs: 900 })).toBe(true);
+    });
+
+    it('does not judge short notes on release', () => {
+      expect(isHoldNote({ durationMs: 300 })).toBe(false);
+    });
+  });
+
+  describe('classifyHold', () => {
+    it('returns FULL when held to the end', () => {
+      expect(classifyHold(900, 900)).toBe(HoldResult.FULL);
+    });
+
+    it('returns FULL when released slightly early', () => {
+      expect(classifyHold(750, 900)).toBe(HoldResult.FULL);
+    });
+
+    it('returns PARTIAL when held for over half', () => {
+      expect(classifyHold(500, 900)).toBe(HoldResult.PARTIAL);
+    });
+
+    it('returns SHORT when released early', () => {
+      expect(classifyHold(200, 900)).toBe(HoldResult.SHORT);
+    });
+  });
+
+  describe('judgeChord', () => {
+    it('returns one result for a tight chord', () => {
+      const result = judgeChord([-10, 0, 20]);
+      expect(result.hitResult).toBe(HitResult.PERFECT);
+      expect(result.spread).toBe(30);
+    });
+
+    it('uses the least accurate key', () => {
+      const result = judgeChord([40, 60, 90]);
+      expect(result.hitResult).toBe(HitResult.GREAT);
+      expect(result.delta).toBe(90);
+    });
+
+    it('keeps the sign of the least accurate key', () => {
+      expect(judgeChord([-90, -20, 10]).delta).toBe(-90);
+    });
+
+    it('returns MISS when keys are spread too far apart', () => {
+      const result = judgeChord([-60, DEFAULT_CHORD_SPREAD_MS]);
+      expect(result.hitResult).toBe(HitResult.MISS);
+    });
+
+    it('accepts a custom spread window', () => {
+      const result = judgeChord([-60, 100], DEFAULT_HIT_WINDOWS, 200);
+      expect(result.hitResult).toBe(HitResult.GREAT);
+    });
+
+    it('returns MISS when a key was not pressed', () => {
+      const result = judgeChord([0, null, 10]);
+      expect(result.hitResult).toBe(HitResult.MISS);
+    });
+  });
+
+  describe('getVelocityDynamic', () => {
+    it('maps velocity ranges to marks', () => {
+      expect(getVelocityDynamic(30)).toBe(Dynamic.PIANO);
+      expect(getVelocityDynamic(56)).toBe(Dynamic.MEZZO_FORTE);
+      expect(getVelocityDynamic(95)).toBe(Dynamic.MEZZO_FORTE);
+      expect(getVelocityDynamic(127)).toBe(Dynamic.FORTE);
+    });
+  });
+
+  describe('classifyDynamics', () => {
+    it('returns MATCH for a velocity in the mark range', () => {
+      expect(classifyDynamics(40, Dynamic.PIANO)).toBe(DynamicsResult.MATCH);
+      expect(classifyDynamics(110, Dynamic.FORTE)).toBe(DynamicsResult.MATCH);
+    });
+
+    it('returns CLOSE one step away', () => {
+      expect(classifyDynamics(110, Dynamic.MEZZO_FORTE)).toBe(DynamicsResult.CLOSE);
+      expect(classifyDynamics(70, Dynamic.PIANO)).toBe(DynamicsResult.CLOSE);
+    });
+
+    it('returns OFF for loud instead of soft', () => {
+      expect(classifyDynamics(120, Dynamic.PIANO)).toBe(DynamicsResult.OFF);
+    });
+
+    it('does not judge input without velocity or unmarked notes', () => {
+      expect(classifyDynamics(null, Dynamic.FORTE)).toBe(null);
+      expect(classifyDynamics(80, null)).toBe(null);
+    });
+  });
 });
@@ -0,0 +1,148 @@
+/**
+ * Tests for Recording module and GameEngine replay
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createRecording,
+  serializeRecording,
+  parseRecording,
+  getChartId,
+  parseChartId,
+  InputEventType,
+  RECORDING_VERSION,
+} from '../engine/Recording.js';
+import { GameEngine, GameState } from '../engine/GameEngine.js';
+
+const chart = {
+  notes: [
+    { timeMs: 0, midi: 60, durationMs: 900 },
+    { timeMs: 1000, midi: 62, durationMs: 300 },
+    { timeMs: 1500, midi: 60, durationMs: 300 },
+    { timeMs: 1500, midi: 64, durationMs: 300 },
+    { timeMs: 2000, midi: 65, durationMs: 300 },
+    { timeMs: 2500, midi: 67, durationMs: 300 },
+  ],
+};
+
+// Inputs as [transportMs, type, midi]
+const inputs = [
+  [20, InputEventType.PRESS, 60],       // Early (after latency)
+  [300, InputEventType.RELEASE, 60],    // Short hold
+  [1040, InputEventType.PRESS, 62],
+  [1440, InputEventType.PRESS, 61],     // Wrong note
+  [1490, InputEventType.PRESS, 60],     // Chord
+  [1530, InputEventType.PRESS, 64],
+  // 65 is never played
+  [2555, InputEventType.PRESS, 67],
+];
+
+describe('Recording', () => {
+  describe('chart ids', () => {
+    it('round-trips song and difficulty', () => {
+      const chartId = getChartId('twinkle-twinkle', 'hard');
+      expect(chartId).toBe('twinkle-twinkle/hard');
+      expect(parseChartId(chartId)).toEqual({ songId: 'twinkle-twinkle', difficulty: 'hard' });
+    });
+  });
+
+  describe('parseRecording', () => {
+    it('parses a serialized recording', () => {
+      const recording = createRecording('abc-song/simple', { mode: 'normal' });
+      recording.events.push({ type: InputEventType.PRESS, midi: 60, timeMs: 10 });
+
+      const parsed = parseRecording(serializeRecording(recording));
+
+      expect(parsed.version).toBe(RECORDING_VERSION);
+      expect(parsed.events).toEqual(recording.events);
+    });
+
+    it('throws on an unknown version', () => {
+      expect(() => parseRecording({ version: 99 })).toThrow('Invalid recording');
+    });
+
+    it('throws on an invalid event', () => {
+      const recording = createRecording('abc-song/simple', {});
+      recording.events.push({ type: 'jump', timeMs: 0 });
+      expect(() => parseRecording(recording)).toThrow('Invalid event at index 0');
+    });
+  });
+
+  describe('GameEngine replay', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    // Run the engine frame by frame until it finishes
+    function play(engine, stepMs, onFrame = () => {}) {
+      engine.start();
+      engine.stopGameLoop(); // Frames are driven by hand
+
+      const startNow = now;
+      while (engine.state === GameState.PLAYING && now - startNow < 10000) {
+        onFrame(engine.transport.getCurrentTimeMs());
+        engine.update();
+        now += stepMs;
+      }
+    }
+
+    function record() {
+      const engine = new GameEngine({ latency: { inputOffsetMs: 20, audioOffsetMs: 30 } });
+      engine.loadChart(chart);
+      engine.setCountIn(1, 240);
+      engine.enableRecording('test/simple');
+
+      const pending = [...inputs];
+      play(engine, 16, (transportMs) => {
+        while (pending.length && pending[0][0] <= transportMs) {
+          const [, type, midi] = pending.shift();
+          if (type === InputEventType.PRESS) engine.handleKeyPress(midi);
+          else engine.handleKeyRelease(midi);
+        }
+      });
+
+      return engine;
+    }
+
+    it('records every input with the settings', () => {
+      const recording = record().getRecording();
+
+      expect(recording.chartId).toBe('test/simple');
+      expect(recording.settings.latency).toEqual({ inputOffsetMs: 20, audioOffsetMs: 30 });
+      expect(recording.settings.countIn.bars).toBe(1);
+      expect(recording.events).toHaveLength(inputs.length);
+      expect(recording.events[0]).toMatchObject({ type: InputEventType.PRESS, midi: 60 });
+    });
+
+    it('reproduces the summary with different frame timing', () => {
+      const original = record();
+      const recording = parseRecording(serializeRecording(original.getRecording()));
+
+      const replay = new GameEngine();
+      replay.loadChart(chart);
+      replay.loadReplay(recording);
+      play(replay, 23);
+
+      expect(replay.state).toBe(GameState.FINISHED);
+      expect(replay.getSummary()).toEqual(original.getSummary());
+    });
+
+    it('ignores live key presses while replaying', () => {
+      const engine = new GameEngine();
+      engine.loadChart(chart);
+      engine.loadReplay(createRecording('test/simple', engine.getSettings()));
+      engine.start();
+      engine.stopGameLoop();
+
+      expect(engine.handleKeyPress(60)).toBeNull();
+      expect(engine.scoring.totalNotes).toBe(0);
+    });
+  });
+});
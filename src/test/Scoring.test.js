@@ -5,11 +5,18 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import {
   ScoringEngine,
+  ScoringMode,
   calculateScore,
+  classifyAttempts,
+  analyzeOffsets,
+  findWeakestSection,
+  TimingTendency,
   BASE_SCORES,
+  HOLD_SCORES,
+  EXPRESSION_SCORES,
   STREAK_CONFIG,
 } from '../engine/Scoring.js';
-import { HitResult } from '../engine/HitDetection.js';
+import { HitResult, HoldResult, DynamicsResult } from '../engine/HitDetection.js';
 
 describe('Scoring', () => {
   describe('BASE_SCORES', () => {
@@ -53,6 +60,45 @@ describe('Scoring', () => {
     });
   });
 
+  describe('classifyAttempts', () => {
+    it('returns PERFECT with no wrong tries', () => {
+      expect(classifyAttempts(0)).toBe(HitResult.PERFECT);
+    });
+
+    it('returns GREAT after one wrong try', () => {
+      expect(classifyAttempts(1)).toBe(HitResult.GREAT);
+    });
+
+    it('returns GOOD after two or more wrong tries', () => {
+      expect(classifyAttempts(2)).toBe(HitResult.GOOD);
+      expect(classifyAttempts(10)).toBe(HitResult.GOOD);
+    });
+  });
+
+  describe('analyzeOffsets', () => {
+    it('returns mean and spread of the offsets', () => {
+      const timing = analyzeOffsets([-20, 0, 20]);
+      expect(timing.meanOffsetMs).toBe(0);
+      expect(timing.spreadMs).toBe(16);
+      expect(timing.earlyCount).toBe(1);
+      expect(timing.lateCount).toBe(1);
+    });
+
+    it('detects rushing', () => {
+      expect(analyzeOffsets([-40, -30, -50]).tendency).toBe(TimingTendency.RUSH);
+    });
+
+    it('detects dragging', () => {
+      expect(analyzeOffsets([40, 30, 50]).tendency).toBe(TimingTendency.DRAG);
+    });
+
+    it('is steady with no hits', () => {
+      const timing = analyzeOffsets([]);
+      expect(timing.count).toBe(0);
+      expect(timing.tendency).toBe(TimingTendency.STEADY);
+    });
+  });
+
   describe('ScoringEngine', () => {
     let scoring;
 
@@ -143,6 +189,14 @@ describe('Scoring', () => {
         expect(scoring.getAccuracy()).toBe(50);
       });
 
+      it('counts wrong keys that left the note playable once', () => {
+        scoring.recordWrongAttempt();
+        scoring.recordHit(HitResult.PERFECT);
+        // 1 note plus 1 wrong key
+        expect(scoring.totalNotes).toBe(1);
+        expect(scoring.getAccuracy()).toBe(50);
+      });
+
       it('includes GOOD in successful hits', () => {
         scoring.recordHit(HitResult.PERFECT);
         scoring.recordHit(HitResult.GOOD);
@@ -150,6 +204,29 @@ describe('Scoring', () => {
       });
     });
 
+    describe('getRollingAccuracy', () => {
+      it('returns null until enough notes are judged', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        expect(scoring.getRollingAccuracy(2)).toBeNull();
+      });
+
+      it('only counts the latest notes', () => {
+        scoring.recordHit(HitResult.MISS);
+        scoring.recordHit(HitResult.MISS);
+        scoring.recordHit(HitResult.PERFECT);
+        scoring.recordHit(HitResult.GOOD);
+        expect(scoring.getRollingAccuracy(2)).toBe(100);
+        expect(scoring.getRollingAccuracy(4)).toBe(50);
+      });
+
+      it('counts wrong attempts as failures', () => {
+        scoring.setMode(ScoringMode.ATTEMPTS);
+        scoring.recordWrongAttempt();
+        scoring.recordAttemptHit(1);
+        expect(scoring.getRollingAccuracy(2)).toBe(50);
+      });
+    });
+
     describe('getStars', () => {
       it('returns 3 stars for 90%+ accuracy', () => {
         for (let i = 0; i < 9; i++) {
@@ -194,6 +271,18 @@ describe('Scoring', () => {
         expect(summary.totalNotes).toBe(3);
         expect(summary.hitCounts[HitResult.PERFECT]).toBe(1);
       });
+
+      it('includes signed timing of successful hits', () => {
+        scoring.recordHit(HitResult.PERFECT, { deltaMs: -40 });
+        scoring.recordHit(HitResult.GREAT, { deltaMs: -80 });
+        scoring.recordHit(HitResult.MISS, { deltaMs: null });
+
+        const { timing } = scoring.getSummary();
+
+        expect(timing.count).toBe(2);
+        expect(timing.meanOffsetMs).toBe(-60);
+        expect(timing.tendency).toBe(TimingTendency.RUSH);
+      });
     });
 
     describe('reset', () => {
@@ -207,5 +296,163 @@ describe('Scoring', () => {
         expect(scoring.totalNotes).toBe(0);
       });
     });
+
+    describe('recordHold', () => {
+      it('adds a bonus for a full hold', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        scoring.recordHold(HoldResult.FULL);
+        expect(scoring.score).toBe(100 + HOLD_SCORES[HoldResult.FULL]);
+        expect(scoring.holdCounts[HoldResult.FULL]).toBe(1);
+      });
+
+      it('subtracts a penalty for a short hold', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        const result = scoring.recordHold(HoldResult.SHORT);
+        expect(result.points).toBe(HOLD_SCORES[HoldResult.SHORT]);
+        expect(scoring.score).toBe(100 + HOLD_SCORES[HoldResult.SHORT]);
+      });
+
+      it('never takes the score below 0', () => {
+        scoring.recordHold(HoldResult.SHORT);
+        expect(scoring.score).toBe(0);
+        expect(scoring.holdPoints).toBe(0);
+      });
+
+      it('does not change streak or accuracy', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        scoring.recordHold(HoldResult.SHORT);
+        expect(scoring.streak).toBe(1);
+        expect(scoring.getAccuracy()).toBe(100);
+      });
+
+      it('includes hold results in summary', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        scoring.recordHold(HoldResult.FULL);
+        scoring.recordHold(HoldResult.PARTIAL);
+        const summary = scoring.getSummary();
+        expect(summary.holdCounts[HoldResult.FULL]).toBe(1);
+        expect(summary.holdCounts[HoldResult.PARTIAL]).toBe(1);
+        expect(summary.holdPoints).toBe(HOLD_SCORES[HoldResult.FULL] + HOLD_SCORES[HoldResult.PARTIAL]);
+      });
+    });
+
+    describe('recordDynamics', () => {
+      it('keeps expression points out of the main score', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        scoring.recordDynamics(DynamicsResult.MATCH);
+        scoring.recordDynamics(DynamicsResult.CLOSE);
+
+        expect(scoring.score).toBe(100);
+        expect(scoring.expressionScore).toBe(
+          EXPRESSION_SCORES[DynamicsResult.MATCH] + EXPRESSION_SCORES[DynamicsResult.CLOSE]
+        );
+        expect(scoring.getAccuracy()).toBe(100);
+      });
+
+      it('summarises expression as a percentage of the best score', () => {
+        scoring.recordDynamics(DynamicsResult.MATCH);
+        scoring.recordDynamics(DynamicsResult.OFF);
+
+        const { expression } = scoring.getSummary();
+        expect(expression.percent).toBe(50);
+        expect(expression.judged).toBe(2);
+        expect(expression.counts[DynamicsResult.OFF]).toBe(1);
+      });
+
+      it('reports no expression when nothing was judged', () => {
+        scoring.recordHit(HitResult.PERFECT);
+        expect(scoring.getSummary().expression).toBe(null);
+      });
+    });
+
+    describe('sections', () => {
+      const sections = [
+        { id: 'section-0', name: 'Verse', startMs: 0, endMs: 4000 },
+        { id: 'section-1', name: 'Chorus', startMs: 4000, endMs: 8000 },
+        { id: 'section-2', name: 'Bridge', startMs: 8000, endMs: 9000 },
+      ];
+
+      beforeEach(() => {
+        scoring.setSections(sections);
+      });
+
+      it('breaks accuracy and mistakes down by section', () => {
+        scoring.recordHit(HitResult.PERFECT, { sectionId: 'section-0' });
+        scoring.recordHit(HitResult.PERFECT, { sectionId: 'section-1' });
+        scoring.recordHit(HitResult.MISS, { sectionId: 'section-1' });
+        scoring.recordWrongAttempt({ sectionId: 'section-1' });
+        scoring.recordHit(HitResult.GOOD, { sectionId: null });
+
+        const summary = scoring.getSummary().sections;
+        expect(summary.map(s => [s.name, s.judged, s.mistakes, s.accuracy])).toEqual([
+          ['Verse', 1, 0, 100],
+          ['Chorus', 3, 2, 33],
+          ['Bridge', 0, 0, null],
+        ]);
+      });
+
+      it('keeps sections across reset', () => {
+        scoring.recordHit(HitResult.MISS, { sectionId: 'section-0' });
+        scoring.reset();
+
+        expect(scoring.getSummary().sections[0]).toMatchObject({ name: 'Verse', judged: 0 });
+      });
+
+      it('finds the section that needs the most work', () => {
+        scoring.recordHit(HitResult.MISS, { sectionId: 'section-0' });
+        scoring.recordHit(HitResult.PERFECT, { sectionId: 'section-0' });
+        scoring.recordHit(HitResult.MISS, { sectionId: 'section-1' });
+
+        expect(findWeakestSection(scoring.getSummary().sections).name).toBe('Chorus');
+        expect(findWeakestSection([])).toBe(null);
+      });
+    });
+
+    describe('attempts mode', () => {
+      beforeEach(() => {
+        scoring = new ScoringEngine({ mode: ScoringMode.ATTEMPTS });
+      });
+
+      it('scores hits by wrong tries', () => {
+        const result = scoring.recordAttemptHit(1);
+        expect(result.hitResult).toBe(HitResult.GREAT);
+        expect(scoring.score).toBe(70);
+      });
+
+      it('counts wrong tries without adding notes', () => {
+        scoring.recordWrongAttempt({ noteId: 'n1', expectedMidi: 60, actualMidi: 62 });
+        expect(scoring.wrongAttempts).toBe(1);
+        expect(scoring.totalNotes).toBe(0);
+        expect(scoring.mistakes).toHaveLength(1);
+      });
+
+      it('resets streak on a wrong try', () => {
+        scoring.recordAttemptHit(0);
+        scoring.recordAttemptHit(0);
+        scoring.recordWrongAttempt();
+        expect(scoring.streak).toBe(0);
+      });
+
+      it('calculates accuracy from correct key presses', () => {
+        scoring.recordAttemptHit(0);
+        scoring.recordWrongAttempt();
+        scoring.recordAttemptHit(1);
+        scoring.recordAttemptHit(0);
+        // 3 correct out of 4 presses
+        expect(scoring.getAccuracy()).toBe(75);
+      });
+
+      it('includes mode and wrong tries in summary', () => {
+        scoring.recordWrongAttempt();
+        const summary = scoring.getSummary();
+        expect(summary.mode).toBe(ScoringMode.ATTEMPTS);
+        expect(summary.wrongAttempts).toBe(1);
+      });
+
+      it('keeps mode across reset', () => {
+        scoring.reset();
+        expect(scoring.mode).toBe(ScoringMode.ATTEMPTS);
+      });
+    });
   });
 });
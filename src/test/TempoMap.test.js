@@ -0,0 +1,68 @@
+/**
+ * Tests for TempoMap module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildTempoMap,
+  beatToMs,
+  parseTimeSignature,
+  getBarTimes,
+} from '../engine/TempoMap.js';
+
+describe('TempoMap', () => {
+  describe('buildTempoMap', () => {
+    it('turns a bpm into a constant tempo', () => {
+      expect(buildTempoMap(100)).toEqual([{ beat: 0, bpm: 100, timeMs: 0 }]);
+    });
+
+    it('sorts tempo changes and times each one', () => {
+      const tempoMap = buildTempoMap([
+        { beat: 8, bpm: 60 },
+        { beat: 0, bpm: 120 },
+        { beat: 10, bpm: 120 },
+      ]);
+
+      expect(tempoMap.map(change => change.timeMs)).toEqual([0, 4000, 6000]);
+    });
+
+    it('throws on invalid tempo maps', () => {
+      expect(() => buildTempoMap([])).toThrow('tempo must be a bpm');
+      expect(() => buildTempoMap('fast')).toThrow('tempo must be a bpm');
+      expect(() => buildTempoMap([{ beat: 0, bpm: 0 }])).toThrow('Invalid tempo change at index 0');
+      expect(() => buildTempoMap([{ beat: 4, bpm: 100 }])).toThrow('must start at beat 0');
+    });
+  });
+
+  describe('beatToMs', () => {
+    const tempoMap = buildTempoMap([{ beat: 0, bpm: 120 }, { beat: 4, bpm: 60 }]);
+
+    it('converts beats before and after a tempo change', () => {
+      expect(beatToMs(tempoMap, 0)).toBe(0);
+      expect(beatToMs(tempoMap, 2.5)).toBe(1250);
+      expect(beatToMs(tempoMap, 4)).toBe(2000);
+      expect(beatToMs(tempoMap, 5.5)).toBe(3500);
+    });
+  });
+
+  describe('parseTimeSignature', () => {
+    it('reads beats per bar and the beat unit', () => {
+      expect(parseTimeSignature('6/8')).toEqual({ beatsPerBar: 6, beatUnit: 8 });
+      expect(parseTimeSignature()).toEqual({ beatsPerBar: 4, beatUnit: 4 });
+    });
+
+    it('throws on invalid time signatures', () => {
+      expect(() => parseTimeSignature('0/4')).toThrow('invalid time signature');
+      expect(() => parseTimeSignature('4/3')).toThrow('invalid time signature');
+      expect(() => parseTimeSignature('waltz')).toThrow('invalid time signature');
+    });
+  });
+
+  describe('getBarTimes', () => {
+    it('lists bar starts through tempo changes', () => {
+      const tempoMap = buildTempoMap([{ beat: 0, bpm: 120 }, { beat: 3, bpm: 60 }]);
+
+      expect(getBarTimes(tempoMap, 3, 5000)).toEqual([0, 1500, 4500]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for Transport module
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  Transport,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+} from '../engine/Transport.js';
+
+describe('Transport', () => {
+  let now;
+  let transport;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    transport = new Transport();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns 0 before starting', () => {
+    expect(transport.getCurrentTimeMs()).toBe(0);
+  });
+
+  it('advances with real time at 1x', () => {
+    transport.start();
+    now += 500;
+    expect(transport.getCurrentTimeMs()).toBe(500);
+  });
+
+  it('freezes time while paused', () => {
+    transport.start();
+    now += 500;
+    transport.pause();
+    now += 1000;
+    expect(transport.getCurrentTimeMs()).toBe(500);
+    transport.start();
+    now += 100;
+    expect(transport.getCurrentTimeMs()).toBe(600);
+  });
+
+  it('seeks to a song time', () => {
+    transport.start();
+    transport.seekTo(2000);
+    now += 100;
+    expect(transport.getCurrentTimeMs()).toBe(2100);
+  });
+
+  describe('playback rate', () => {
+    it('advances at half speed at 0.5', () => {
+      transport.setPlaybackRate(0.5);
+      transport.start();
+      now += 1000;
+      expect(transport.getCurrentTimeMs()).toBe(500);
+    });
+
+    it('keeps the song position when the rate changes', () => {
+      transport.start();
+      now += 1000;
+      transport.setPlaybackRate(1.5);
+      expect(transport.getCurrentTimeMs()).toBeCloseTo(1000);
+      now += 1000;
+      expect(transport.getCurrentTimeMs()).toBeCloseTo(2500);
+    });
+
+    it('keeps the position when the rate changes while paused', () => {
+      transport.start();
+      now += 1000;
+      transport.pause();
+      transport.setPlaybackRate(0.5);
+      now += 1000;
+      expect(transport.getCurrentTimeMs()).toBe(1000);
+    });
+
+    it('seeks in song time', () => {
+      transport.setPlaybackRate(0.5);
+      transport.start();
+      transport.seekTo(2000);
+      now += 1000;
+      expect(transport.getCurrentTimeMs()).toBe(2500);
+    });
+
+    it('clamps the rate to the allowed range', () => {
+      transport.setPlaybackRate(0.1);
+      expect(transport.playbackRate).toBe(MIN_PLAYBACK_RATE);
+      transport.setPlaybackRate(3);
+      expect(transport.playbackRate).toBe(MAX_PLAYBACK_RATE);
+    });
+
+    it('keeps the rate after stop', () => {
+      transport.setPlaybackRate(0.75);
+      transport.stop();
+      expect(transport.playbackRate).toBe(0.75);
+    });
+  });
+});
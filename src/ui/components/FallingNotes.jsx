@@ -6,7 +6,7 @@
  */
 
 import { useCallback, useRef, useEffect, useState } from 'react';
-import { MIDI_TO_NOTE } from '../../engine/ChartParser.js';
+import { MIDI_TO_NOTE, Hand } from '../../engine/ChartParser.js';
 import { GameState } from '../../engine/GameEngine.js';
 import { useAnimationFrame } from '../../hooks/useAnimationFrame.js';
 import './FallingNotes.css';
@@ -73,13 +73,14 @@ export function FallingNotes({
     setCurrentTime(state.currentTimeMs);
 
     // Filter to visible notes and calculate positions
+    // (in real time, so fall speed ignores tempo)
     const visibleNotes = state.notes
       .filter(note => {
-        const timeToHit = note.timeMs - state.currentTimeMs;
-        return timeToHit > -500 && timeToHit < LOOK_AHEAD_MS;
+        const timeToHit = (note.timeMs - state.currentTimeMs) / state.playbackRate;
+        return !note.thinned && timeToHit > -500 && timeToHit < LOOK_AHEAD_MS;
       })
       .map(note => {
-        const timeToHit = note.timeMs - state.currentTimeMs;
+        const timeToHit = (note.timeMs - state.currentTimeMs) / state.playbackRate;
         const yOffset = timeToHit * NOTE_SPEED;
         const y = hitLineY - yOffset;
 
@@ -108,6 +109,10 @@ export function FallingNotes({
       classes.push('black');
     }
 
+    if (note.hand === Hand.LEFT) {
+      classes.push('hand-left');
+    }
+
     if (note.hit) {
       classes.push('hit');
       if (note.hitResult) {
@@ -49,6 +49,8 @@ export function PianoKeyboard({
   onKeyPress,
   onKeyRelease,
   activeNotes = [],  // MIDI numbers currently expected (for hints)
+  fingerHints = {},  // MIDI number -> finger to play it with (1-5)
+  playingNotes = [], // MIDI numbers the app is playing (demo, other hand)
   hitFeedback = null, // { midi, result } for showing hit feedback
 }) {
   const [pressedKeys, setPressedKeys] = useState(new Set());
@@ -126,6 +128,10 @@ export function PianoKeyboard({
       classes.push('hint');
     }
 
+    if (playingNotes.includes(midi)) {
+      classes.push('playing');
+    }
+
     if (hitFeedback && hitFeedback.midi === midi) {
       classes.push(`hit-${hitFeedback.result}`);
     }
@@ -178,6 +184,9 @@ export function PianoKeyboard({
             onTouchStart={(e) => handleTouchStart(e, key.midi)}
             onTouchEnd={(e) => handleTouchEnd(e, key.midi)}
           >
+            {fingerHints[key.midi] && (
+              <span className="finger-badge">{fingerHints[key.midi]}</span>
+            )}
             <span className="key-label">{key.letter}</span>
           </button>
         ))}
@@ -203,6 +212,9 @@ export function PianoKeyboard({
               onTouchStart={(e) => handleTouchStart(e, key.midi)}
               onTouchEnd={(e) => handleTouchEnd(e, key.midi)}
             >
+              {fingerHints[key.midi] && (
+                <span className="finger-badge">{fingerHints[key.midi]}</span>
+              )}
               <span className="key-label">{key.letter}</span>
             </button>
           );
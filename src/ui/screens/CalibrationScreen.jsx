@@ -0,0 +1,216 @@
+/**
+ * CalibrationScreen - Measures keyboard and speaker lag
+ *
+ * The player taps along to clicks (listen) and then to a flashing light
+ * (watch). The offsets are saved for the current input device.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { Transport } from '../../engine/Transport.js';
+import {
+  CALIBRATION_CONFIG,
+  getTapOffsets,
+  computeCalibration,
+  getInputDeviceKey,
+  getOutputDeviceKey,
+  loadCalibration,
+  saveCalibration,
+} from '../../engine/Calibration.js';
+import { audioEngine } from '../../audio/AudioEngine.js';
+import { useMidi } from '../../hooks/useMidi.js';
+import { useAudioOutput } from '../../hooks/useAudioOutput.js';
+import { useAnimationFrame } from '../../hooks/useAnimationFrame.js';
+import './CalibrationScreen.css';
+
+// Wizard steps
+const Steps = {
+  INTRO: 'intro',
+  LISTEN: 'listen',
+  WATCH: 'watch',
+  DONE: 'done',
+};
+
+const BEAT_MS = 60000 / CALIBRATION_CONFIG.bpm;
+const FLASH_MS = 120;
+
+export function CalibrationScreen({ onBack }) {
+  const [step, setStep] = useState(Steps.INTRO);
+  const [beatCount, setBeatCount] = useState(0);
+  const [flash, setFlash] = useState(false);
+  const [result, setResult] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const transportRef = useRef(new Transport());
+  const beatTimesRef = useRef([]);
+  const tapTimesRef = useRef([]);
+  const listenOffsetsRef = useRef([]);
+
+  const isRunning = step === Steps.LISTEN || step === Steps.WATCH;
+
+  // Record a tap from the pad, the computer keyboard or a MIDI keyboard
+  const handleTap = useCallback(() => {
+    if (!isRunning) return;
+    tapTimesRef.current.push(transportRef.current.getCurrentTimeMs());
+  }, [isRunning]);
+
+  const { devices, initMidi } = useMidi(handleTap, null);
+  const outputDevice = useAudioOutput();
+  const inputKey = getInputDeviceKey(devices);
+  const outputKey = getOutputDeviceKey(outputDevice);
+  const current = loadCalibration(inputKey, outputKey);
+
+  useEffect(() => {
+    initMidi();
+  }, [initMidi]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.code === 'Space' && !e.repeat) {
+        e.preventDefault();
+        handleTap();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [handleTap]);
+
+  const startStep = useCallback((nextStep) => {
+    beatTimesRef.current = [];
+    tapTimesRef.current = [];
+    transportRef.current.stop();
+    transportRef.current.start();
+    setBeatCount(0);
+    setSaved(false);
+    setStep(nextStep);
+  }, []);
+
+  const finishStep = useCallback(() => {
+    const offsets = getTapOffsets(beatTimesRef.current, tapTimesRef.current, { beatMs: BEAT_MS });
+    transportRef.current.stop();
+
+    if (step === Steps.LISTEN) {
+      listenOffsetsRef.current = offsets;
+      startStep(Steps.WATCH);
+      return;
+    }
+
+    setResult(computeCalibration(listenOffsetsRef.current, offsets));
+    setStep(Steps.DONE);
+  }, [step, startStep]);
+
+  // Beat clock - one beat of silence, then a steady pulse
+  useAnimationFrame(() => {
+    const time = transportRef.current.getCurrentTimeMs();
+    const played = beatTimesRef.current.length;
+
+    if (played < CALIBRATION_CONFIG.beatsPerPhase && time >= (played + 1) * BEAT_MS) {
+      beatTimesRef.current.push(time);
+      setBeatCount(played + 1);
+
+      if (step === Steps.LISTEN) {
+        audioEngine.playMetronomeClick(played % 4 === 0);
+      } else {
+        setFlash(true);
+        setTimeout(() => setFlash(false), FLASH_MS);
+      }
+    } else if (played === CALIBRATION_CONFIG.beatsPerPhase && time >= (played + 1) * BEAT_MS) {
+      finishStep();
+    }
+  }, isRunning);
+
+  const handleSave = () => {
+    saveCalibration(inputKey, outputKey, result);
+    setSaved(true);
+  };
+
+  const deviceLabel = devices.length > 0 ? devices[0].name : 'Screen keyboard';
+  const outputLabel = outputDevice?.label || 'Speakers';
+
+  return (
+    <div className="calibration-screen">
+      <header className="calibration-header">
+        <button className="back-btn" onClick={onBack}>
+          ← Back
+        </button>
+        <h1 className="header-title">🎧 Timing Setup</h1>
+        <div className="header-spacer" />
+      </header>
+
+      <div className="calibration-content">
+        <p className="calibration-device">
+          {devices.length > 0 ? '🎹' : '📱'} {deviceLabel} · 🔊 {outputLabel}
+        </p>
+
+        {step === Steps.INTRO && (
+          <div className="calibration-step">
+            <p className="calibration-text">
+              Tap along to the beat so every note lands right on time.
+            </p>
+            <p className="calibration-hint">
+              Tap the big button, press Space, or press any key on your piano.
+            </p>
+            <p className="calibration-current">
+              Now: keys {current.inputOffsetMs}ms · sound {current.audioOffsetMs}ms
+            </p>
+            <button className="calibration-btn" onClick={() => startStep(Steps.LISTEN)}>
+              ▶ Start
+            </button>
+          </div>
+        )}
+
+        {isRunning && (
+          <div className="calibration-step">
+            <p className="calibration-text">
+              {step === Steps.LISTEN ? '👂 Listen and tap with the clicks' : '👀 Watch and tap with the light'}
+            </p>
+            <div className={`calibration-light ${flash ? 'on' : ''}`} />
+            <p className="calibration-hint">
+              {beatCount} / {CALIBRATION_CONFIG.beatsPerPhase}
+            </p>
+            <button
+              className="calibration-pad"
+              onPointerDown={(e) => {
+                e.preventDefault();
+                handleTap();
+              }}
+            >
+              TAP
+            </button>
+          </div>
+        )}
+
+        {step === Steps.DONE && (
+          <div className="calibration-step">
+            {result ? (
+              <>
+                <p className="calibration-text">All done!</p>
+                <div className="calibration-results">
+                  <div className="calibration-result">
+                    <span className="result-value">{result.inputOffsetMs}ms</span>
+                    <span className="result-label">Key delay</span>
+                  </div>
+                  <div className="calibration-result">
+                    <span className="result-value">{result.audioOffsetMs}ms</span>
+                    <span className="result-label">Sound delay</span>
+                  </div>
+                </div>
+                <button className="calibration-btn" onClick={handleSave} disabled={saved}>
+                  {saved ? '✓ Saved' : '💾 Save'}
+                </button>
+              </>
+            ) : (
+              <p className="calibration-text">
+                We didn't catch enough taps. Let's try again!
+              </p>
+            )}
+            <button className="calibration-btn secondary" onClick={() => startStep(Steps.LISTEN)}>
+              🔄 Try Again
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationScreen;
@@ -0,0 +1,85 @@
+/**
+ * DuelResultsScreen - Head-to-head results after a duel
+ *
+ * Shows the winner, each player's score, accuracy and stars, and the margin
+ */
+
+import './ResultsScreen.css';
+import './DuelResultsScreen.css';
+
+const PLAYER_NAMES = ['Player 1', 'Player 2'];
+
+export function DuelResultsScreen({ results, songTitle, onReplay, onBack }) {
+  const { players, winner, margin } = results;
+
+  const getHeadline = () => {
+    if (winner === null) return "🤝 It's a Draw!";
+    return `🏆 ${PLAYER_NAMES[winner]} Wins!`;
+  };
+
+  const getMarginText = () => {
+    if (winner === null) return 'Same score and accuracy - great teamwork!';
+    if (margin === 0) return 'Same score - won on accuracy!';
+    return `Won by ${margin} points`;
+  };
+
+  return (
+    <div className="results-screen">
+      <div className="results-card duel-results-card">
+        {/* Header */}
+        <div className="results-header">
+          <h1 className="results-title">{getHeadline()}</h1>
+          <p className="results-message">{getMarginText()}</p>
+        </div>
+
+        {/* Song completed */}
+        <div className="song-completed">
+          <span className="song-icon">🎵</span>
+          <span className="song-name">{songTitle}</span>
+        </div>
+
+        {/* One column per player */}
+        <div className="duel-players">
+          {players.map(summary => (
+            <div
+              key={summary.player}
+              className={`duel-player player-${summary.player + 1} ${winner === summary.player ? 'winner' : ''}`}
+            >
+              <h2 className="duel-player-name">
+                {winner === summary.player && '👑 '}
+                {PLAYER_NAMES[summary.player]}
+              </h2>
+              <div className="duel-player-stars">
+                {'⭐'.repeat(summary.stars) || '-'}
+              </div>
+              <div className="stat-card score">
+                <span className="stat-value">{summary.score}</span>
+                <span className="stat-label">Score</span>
+              </div>
+              <div className="stat-card accuracy">
+                <span className="stat-value">{summary.accuracy}%</span>
+                <span className="stat-label">Accuracy</span>
+              </div>
+              <div className="stat-card streak">
+                <span className="stat-value">{summary.maxStreak}</span>
+                <span className="stat-label">Best Streak</span>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="results-actions">
+          <button className="action-btn replay" onClick={onReplay}>
+            🔄 Rematch
+          </button>
+          <button className="action-btn back" onClick={onBack}>
+            🎵 Songs
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DuelResultsScreen;
@@ -0,0 +1,263 @@
+/**
+ * DuelScreen - Two players race through one song side by side
+ *
+ * Each player gets their own note highway, score and on-screen keyboard.
+ * MIDI keys are split between the players by keyboard half or by device.
+ */
+
+import { useEffect, useCallback, useState } from 'react';
+import { GameState, GameEvent } from '../../engine/GameEngine.js';
+import { DUEL_PLAYERS, DuelSplit, DEFAULT_SPLIT_MIDI } from '../../engine/Duel.js';
+import { getSong } from '../../songs/index.js';
+import { audioEngine } from '../../audio/AudioEngine.js';
+import { useDuel } from '../../hooks/useDuel.js';
+import { useMidi } from '../../hooks/useMidi.js';
+import { useAnimationFrame } from '../../hooks/useAnimationFrame.js';
+import { FallingNotes } from '../components/FallingNotes.jsx';
+import { PianoKeyboard } from '../components/PianoKeyboard.jsx';
+import './GameScreen.css';
+import './DuelScreen.css';
+
+const PLAYER_NAMES = ['Player 1', 'Player 2'];
+
+export function DuelScreen({
+  songId,
+  difficulty,
+  playbackRate = 1,
+  countInBars = 1,
+  onBack,
+  onFinish,
+}) {
+  const [split, setSplit] = useState(DuelSplit.KEYBOARD_HALF);
+  const [scores, setScores] = useState([0, 0]);
+  const [hitFeedback, setHitFeedback] = useState([null, null]);
+
+  const {
+    gameState,
+    results,
+    loadChart,
+    setInputSplit,
+    setPlaybackRate,
+    setCountIn,
+    start,
+    pause,
+    resume,
+    stop,
+    handleKeyPress,
+    handleKeyRelease,
+    handlePlayerKeyPress,
+    handlePlayerKeyRelease,
+    duel,
+  } = useDuel();
+
+  const song = getSong(songId, difficulty);
+  const chart = song?.chart;
+
+  // Initialize audio and load song
+  useEffect(() => {
+    const init = async () => {
+      await audioEngine.init();
+      if (chart) {
+        loadChart(chart);
+      }
+    };
+    init();
+
+    return () => {
+      stop();
+    };
+  }, [chart, loadChart, stop]);
+
+  const songBpm = song?.bpm;
+  useEffect(() => {
+    setCountIn(countInBars, songBpm);
+  }, [countInBars, songBpm, setCountIn]);
+
+  useEffect(() => {
+    setPlaybackRate(playbackRate);
+    audioEngine.setPlaybackRate(playbackRate);
+
+    return () => {
+      audioEngine.setPlaybackRate(1);
+    };
+  }, [playbackRate, setPlaybackRate]);
+
+  // Both players count in together, so one player's clicks are enough
+  useEffect(() => {
+    return duel.players[0].on(GameEvent.COUNT_IN_BEAT, ({ isDownbeat }) => {
+      audioEngine.playMetronomeClick(isDownbeat);
+    });
+  }, [duel]);
+
+  // Handle finish
+  useEffect(() => {
+    if (gameState === GameState.FINISHED && results) {
+      onFinish(results);
+    }
+  }, [gameState, results, onFinish]);
+
+  // Show hit feedback on the keyboard of the player who pressed
+  const showFeedback = useCallback((player, midiNote, result) => {
+    if (!result?.hitResult) return;
+    setHitFeedback(prev => prev.map((feedback, i) =>
+      i === player ? { midi: midiNote, result: result.hitResult } : feedback
+    ));
+    setTimeout(() => {
+      setHitFeedback(prev => prev.map((feedback, i) => (i === player ? null : feedback)));
+    }, 200);
+  }, []);
+
+  // MIDI input, split between the players
+  const onMidiKeyPressed = useCallback((midiNote, velocity, deviceId) => {
+    audioEngine.playNote(midiNote, 400);
+    const routed = handleKeyPress(midiNote, deviceId, velocity);
+    if (routed) {
+      showFeedback(routed.player, midiNote, routed.result);
+    }
+  }, [handleKeyPress, showFeedback]);
+
+  const onMidiKeyReleased = useCallback((midiNote, deviceId) => {
+    handleKeyRelease(midiNote, deviceId);
+  }, [handleKeyRelease]);
+
+  const { isConnected: midiConnected, devices: midiDevices, initMidi } = useMidi(
+    onMidiKeyPressed,
+    onMidiKeyReleased
+  );
+
+  useEffect(() => {
+    initMidi();
+  }, [initMidi]);
+
+  // Device split: the first two connected keyboards, in connection order
+  const deviceIds = midiDevices.map(device => device.id).join(',');
+  useEffect(() => {
+    setInputSplit({
+      split,
+      splitMidi: DEFAULT_SPLIT_MIDI,
+      devices: deviceIds ? deviceIds.split(',').slice(0, DUEL_PLAYERS) : [],
+    });
+  }, [split, deviceIds, setInputSplit]);
+
+  // On-screen keyboards belong to one player each
+  const onPlayerKeyPressed = (player, midiNote) => {
+    audioEngine.playNote(midiNote, 400);
+    const routed = handlePlayerKeyPress(player, midiNote);
+    showFeedback(player, midiNote, routed?.result);
+  };
+
+  // Scores in the header
+  useAnimationFrame(() => {
+    if (gameState !== GameState.PLAYING) return;
+    setScores(duel.players.map(engine => engine.scoring.score));
+  }, gameState === GameState.PLAYING);
+
+  const togglePause = () => {
+    if (gameState === GameState.PLAYING) {
+      pause();
+    } else if (gameState === GameState.PAUSED) {
+      resume();
+    }
+  };
+
+  const handleBack = () => {
+    stop();
+    onBack();
+  };
+
+  return (
+    <div className="game-screen duel-screen">
+      {/* Top bar */}
+      <header className="game-header">
+        <button className="game-btn back-btn" onClick={handleBack}>
+          ← Back
+        </button>
+
+        <div className="song-info">
+          <h2 className="song-name">{song?.shortTitle}</h2>
+          <span className="tempo-badge">👥 Duel</span>
+        </div>
+
+        <div className="duel-scores">
+          {PLAYER_NAMES.map((name, player) => (
+            <div key={name} className={`duel-score player-${player + 1}`}>
+              <span className="score-label">{name}</span>
+              <span className="score-value">{scores[player]}</span>
+            </div>
+          ))}
+        </div>
+      </header>
+
+      {/* Input split (only matters for MIDI keyboards) */}
+      {midiConnected && gameState === GameState.IDLE && (
+        <div className="duel-split">
+          <button
+            className={`game-btn ${split === DuelSplit.KEYBOARD_HALF ? 'selected' : ''}`}
+            onClick={() => setSplit(DuelSplit.KEYBOARD_HALF)}
+          >
+            🎹 Share one keyboard
+          </button>
+          <button
+            className={`game-btn ${split === DuelSplit.MIDI_DEVICE ? 'selected' : ''}`}
+            onClick={() => setSplit(DuelSplit.MIDI_DEVICE)}
+            disabled={midiDevices.length < DUEL_PLAYERS}
+          >
+            🎹🎹 One keyboard each
+          </button>
+        </div>
+      )}
+
+      {/* Highways and keyboards, one column per player */}
+      <div className="duel-lanes">
+        {PLAYER_NAMES.map((name, player) => (
+          <div key={name} className={`duel-lane player-${player + 1}`}>
+            <div className="duel-highway">
+              <FallingNotes engine={duel.players[player]} gameState={gameState} />
+            </div>
+            <div className="keyboard-container">
+              <PianoKeyboard
+                startMidi={60}
+                endMidi={72}
+                onKeyPress={(midiNote) => onPlayerKeyPressed(player, midiNote)}
+                onKeyRelease={(midiNote) => handlePlayerKeyRelease(player, midiNote)}
+                hitFeedback={hitFeedback[player]}
+              />
+            </div>
+          </div>
+        ))}
+
+        {gameState === GameState.IDLE && (
+          <div className="overlay start-overlay" onClick={start}>
+            <div className="overlay-content">
+              <span className="overlay-icon">▶</span>
+              <span className="overlay-text">Tap to Start!</span>
+            </div>
+          </div>
+        )}
+
+        {gameState === GameState.PAUSED && (
+          <div className="overlay pause-overlay" onClick={resume}>
+            <div className="overlay-content">
+              <span className="overlay-icon">⏸</span>
+              <span className="overlay-text">Paused</span>
+              <span className="overlay-hint">Tap to Resume</span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="game-controls">
+        <button
+          className={`control-btn ${gameState === GameState.PAUSED ? 'resume' : 'pause'}`}
+          onClick={togglePause}
+          disabled={gameState === GameState.IDLE || gameState === GameState.FINISHED}
+        >
+          {gameState === GameState.PAUSED ? '▶ Resume' : '⏸ Pause'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DuelScreen;
@@ -3,14 +3,17 @@
  */
 
 import { useEffect, useCallback, useState, useRef } from 'react';
-import { GameState } from '../../engine/GameEngine.js';
+import { GameState, GameEvent, PlayMode, WrongNotePolicy } from '../../engine/GameEngine.js';
 import { getSong } from '../../songs/index.js';
 import { audioEngine } from '../../audio/AudioEngine.js';
 import { useGameEngine } from '../../hooks/useGameEngine.js';
 import { useMidi } from '../../hooks/useMidi.js';
+import { useAudioOutput } from '../../hooks/useAudioOutput.js';
 import { useAnimationFrame } from '../../hooks/useAnimationFrame.js';
 import { PianoKeyboard } from '../components/PianoKeyboard.jsx';
-import { MIDI_TO_NOTE } from '../../engine/ChartParser.js';
+import { MIDI_TO_NOTE, Hand, getLyricLine } from '../../engine/ChartParser.js';
+import { getInputDeviceKey, getOutputDeviceKey, loadCalibration } from '../../engine/Calibration.js';
+import { getChartId } from '../../engine/Recording.js';
 import './GameScreen.css';
 
 // Visual constants
@@ -53,7 +56,20 @@ function getLanePosition(midi, startMidi = START_MIDI) {
   }
 }
 
-export function GameScreen({ songId, difficulty, onBack, onFinish }) {
+export function GameScreen({
+  songId,
+  difficulty,
+  mode = PlayMode.NORMAL,
+  playbackRate = 1,
+  countInBars = 1,
+  adaptive = false, // Adapt difficulty to the player during the song
+  wrongNotePolicy = WrongNotePolicy.PENALIZE,
+  practiceHand = null, // Hand to play while the app plays the other (null = both)
+  practiceSection = null, // Song section {name, startMs, endMs} to loop from the start
+  replay = null, // Recording to play back instead of live input
+  onBack,
+  onFinish,
+}) {
   const containerRef = useRef(null);
   const [notes, setNotes] = useState([]);
   const [hitFeedback, setHitFeedback] = useState(null);
@@ -62,19 +78,42 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
   const [multiplier, setMultiplier] = useState(1);
   const [progress, setProgress] = useState(0);
   const [activeHints, setActiveHints] = useState([]);
+  const [fingerHints, setFingerHints] = useState({}); // MIDI -> suggested finger
+  const [lyricLine, setLyricLine] = useState(null); // Karaoke line being sung
+  const [waiting, setWaiting] = useState(false);
+  const [loopStartMs, setLoopStartMs] = useState(null);
+  const [countInStatus, setCountInStatus] = useState(null);
+  const [adaptiveLevel, setAdaptiveLevel] = useState(0);
+  const [listening, setListening] = useState(false); // Demo run before playing
+  const [playingKeys, setPlayingKeys] = useState([]); // Keys the app is playing
 
   const {
     gameState,
     renderState,
     lastHit,
     results,
+    loop,
+    loopPasses,
     loadChart,
+    setMode,
+    setPlaybackRate,
+    setLatencyOffsets,
+    setCountIn,
+    setAdaptive,
+    setWrongNotePolicy,
+    setPracticeHand,
+    enableRecording,
+    loadReplay,
     start,
     pause,
     resume,
     stop,
     restart,
+    setLoop,
+    clearLoop,
+    seek,
     handleKeyPress,
+    handleKeyRelease,
     engine,
   } = useGameEngine();
 
@@ -86,7 +125,13 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     const init = async () => {
       await audioEngine.init();
       if (song) {
+        setMode(mode);
         loadChart(song.chart);
+        if (replay) {
+          loadReplay(replay);
+        } else {
+          enableRecording(getChartId(songId, difficulty));
+        }
       }
     };
     init();
@@ -94,33 +139,117 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     return () => {
       stop();
     };
-  }, [songId, difficulty]);
+  }, [songId, difficulty, mode, replay, setMode, loadChart, loadReplay, enableRecording, stop]);
+
+  // Count-in uses the song tempo from meta.json
+  const songBpm = song?.bpm;
+  useEffect(() => {
+    setCountIn(countInBars, songBpm);
+  }, [countInBars, songBpm, setCountIn]);
+
+  // Apply tempo to the engine and to note sounds
+  useEffect(() => {
+    setPlaybackRate(playbackRate);
+    audioEngine.setPlaybackRate(playbackRate);
+
+    return () => {
+      audioEngine.setPlaybackRate(1);
+    };
+  }, [playbackRate, setPlaybackRate]);
+
+  // Adaptive mode, wrong-note policy and practice hand
+  // (replays use the settings they were recorded with)
+  useEffect(() => {
+    if (replay) return;
+    setAdaptive(adaptive);
+    setWrongNotePolicy(wrongNotePolicy);
+    setPracticeHand(practiceHand);
+  }, [adaptive, wrongNotePolicy, practiceHand, replay, setAdaptive, setWrongNotePolicy, setPracticeHand]);
+
+  // Follow adaptive tempo changes in the note sounds
+  useEffect(() => {
+    if (!engine) return;
+
+    const offChange = engine.on(GameEvent.ADAPTIVE_CHANGE, (change) => {
+      setAdaptiveLevel(change.level);
+      audioEngine.setPlaybackRate(change.playbackRate);
+    });
+    const offStart = engine.on(GameEvent.START, () => {
+      setAdaptiveLevel(0);
+      audioEngine.setPlaybackRate(playbackRate);
+    });
+
+    return () => {
+      offChange();
+      offStart();
+    };
+  }, [engine, playbackRate]);
+
+  // Light up the keys of notes the app plays (demo, other hand)
+  useEffect(() => {
+    if (!engine) return;
+
+    return engine.on(GameEvent.AUTOPLAY_NOTE, ({ note }) => {
+      setPlayingKeys(prev => [...prev, note.midi]);
+      setTimeout(() => {
+        setPlayingKeys(prev => {
+          const index = prev.indexOf(note.midi);
+          return index === -1 ? prev : [...prev.slice(0, index), ...prev.slice(index + 1)];
+        });
+      }, note.durationMs / engine.transport.playbackRate);
+    });
+  }, [engine]);
+
+  // A finished demo goes back to the start overlay in the chosen mode
+  useEffect(() => {
+    if (!engine) return;
+
+    return engine.on(GameEvent.FINISH, (summary) => {
+      if (summary.playMode !== PlayMode.DEMO) return;
+      setListening(false);
+      setMode(mode);
+      stop();
+    });
+  }, [engine, mode, setMode, stop]);
 
   // Handle finish
   useEffect(() => {
-    if (gameState === GameState.FINISHED && results) {
-      onFinish(results);
-    }
-  }, [gameState, results, onFinish]);
+    if (gameState !== GameState.FINISHED || !results) return;
+    if (results.playMode === PlayMode.DEMO) return;
+
+    onFinish({
+      ...results,
+      recording: replay ?? engine?.getRecording() ?? null,
+    });
+  }, [gameState, results, onFinish, replay, engine]);
+
+  // Handle key press (from keyboard or MIDI; only MIDI has a velocity)
+  const onKeyPressed = useCallback((midiNote, velocity) => {
+    // Replays play their own recorded keys
+    if (replay) return;
 
-  // Handle key press (from keyboard or MIDI)
-  const onKeyPressed = useCallback((midiNote) => {
     // Play sound
     audioEngine.playNote(midiNote, 400);
 
     // Process hit
-    const result = handleKeyPress(midiNote);
+    const result = handleKeyPress(midiNote, velocity);
 
-    if (result) {
+    // Chord keys get feedback once the whole chord is judged
+    if (result?.hitResult) {
       setHitFeedback({ midi: midiNote, result: result.hitResult });
       setTimeout(() => setHitFeedback(null), 200);
     }
-  }, [handleKeyPress]);
+  }, [handleKeyPress, replay]);
+
+  // Handle key release (ends hold notes)
+  const onKeyReleased = useCallback((midiNote) => {
+    handleKeyRelease(midiNote);
+  }, [handleKeyRelease]);
 
   // MIDI input
-  const { isConnected: midiConnected, initMidi } = useMidi(
+  const { isConnected: midiConnected, devices: midiDevices, initMidi } = useMidi(
     onKeyPressed,
-    null
+    onKeyReleased
   );
 
   // Initialize MIDI on mount
@@ -128,6 +257,15 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     initMidi();
   }, [initMidi]);
 
+  // Apply the saved latency calibration for the input and output devices in
+  // use (replays keep the offsets they were recorded with)
+  const inputDeviceKey = getInputDeviceKey(midiDevices);
+  const outputDeviceKey = getOutputDeviceKey(useAudioOutput());
+  useEffect(() => {
+    if (replay) return;
+    setLatencyOffsets(loadCalibration(inputDeviceKey, outputDeviceKey));
+  }, [inputDeviceKey, outputDeviceKey, setLatencyOffsets, replay]);
+
   // Animation loop for rendering
   useAnimationFrame(() => {
     if (!engine || gameState !== GameState.PLAYING) return;
@@ -141,15 +279,18 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     setStreak(state.streak);
     setMultiplier(state.multiplier);
     setProgress(state.progress);
+    setWaiting(state.waiting);
+    setCountInStatus(state.countIn);
 
-    // Calculate visible notes
+    // Calculate visible notes (in real time, so fall speed ignores tempo)
     const visibleNotes = state.notes
       .filter(note => {
-        const timeToHit = note.timeMs - state.currentTimeMs;
+        if (note.thinned) return false; // Dropped by adaptive mode
+        const timeToHit = (note.timeMs - state.currentTimeMs) / state.playbackRate;
         return timeToHit > -500 && timeToHit < LOOK_AHEAD_MS;
       })
       .map(note => {
-        const timeToHit = note.timeMs - state.currentTimeMs;
+        const timeToHit = (note.timeMs - state.currentTimeMs) / state.playbackRate;
         const yOffset = timeToHit * NOTE_SPEED;
         const y = hitLineY - yOffset;
         const isBlack = [1, 3, 6, 8, 10].includes(note.midi % 12);
@@ -168,6 +309,12 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     const upcomingNotes = state.notes
       .filter(n => !n.hit && n.timeMs - state.currentTimeMs < 500 && n.timeMs - state.currentTimeMs > -100);
     setActiveHints(upcomingNotes.map(n => n.midi));
+    setFingerHints(Object.fromEntries(
+      upcomingNotes.filter(n => n.finger).map(n => [n.midi, n.finger])
+    ));
+
+    // Follow the words from the transport time
+    setLyricLine(getLyricLine(engine.chart.lyrics, state.currentTimeMs));
 
   }, gameState === GameState.PLAYING);
 
@@ -177,6 +324,14 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     return noteNames[midi % 12];
   };
 
+  // Syllables ending in "-" run into the next one; words are spaced
+  const getSyllableText = (syllable) => (
+    syllable.text.endsWith('-') ? syllable.text : `${syllable.text} `
+  );
+  const currentSyllable = lyricLine
+    ? lyricLine.syllables.findIndex(syllable => syllable.id === lyricLine.currentId)
+    : -1;
+
   // Handle pause/resume toggle
   const togglePause = () => {
     if (gameState === GameState.PLAYING) {
@@ -186,6 +341,88 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
     }
   };
 
+  // Loop button: first tap marks A, second marks B, third stops looping
+  const handleLoopButton = () => {
+    if (!engine) return;
+
+    if (loop) {
+      clearLoop();
+      return;
+    }
+
+    // Mark where the highway is, not the audio (they differ by the audio offset)
+    const currentTimeMs = engine.getPlayheadMs();
+    if (loopStartMs === null) {
+      setLoopStartMs(currentTimeMs);
+      return;
+    }
+
+    if (currentTimeMs > loopStartMs) {
+      setLoop(loopStartMs, currentTimeMs);
+    }
+    setLoopStartMs(null);
+  };
+
+  const getLoopButtonLabel = () => {
+    if (loop) return '⏹ Stop Loop';
+    if (loopStartMs !== null) return '🅱 Loop End';
+    return '🅰 Loop Start';
+  };
+
+  // Scrub through the song by pressing or dragging on the progress bar
+  const canSeek = !replay && (gameState === GameState.PLAYING || gameState === GameState.PAUSED);
+
+  const seekToPointer = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min((event.clientX - rect.left) / rect.width, 1));
+    setLoopStartMs(null);
+    setProgress(fraction);
+    seek(fraction * engine.chart.duration);
+  };
+
+  const handleSeekStart = (event) => {
+    if (!canSeek) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  const handleSeekMove = (event) => {
+    if (!canSeek || !event.currentTarget.hasPointerCapture(event.pointerId)) return;
+    seekToPointer(event);
+  };
+
+  // Section practice loops its part as soon as the song starts; the engine
+  // moves the count-in to the section start
+  const loopPracticeSection = () => {
+    if (practiceSection) {
+      setLoop(practiceSection.startMs, practiceSection.endMs);
+    }
+  };
+
+  const handleStart = () => {
+    start();
+    loopPracticeSection();
+  };
+
+  const handleRestart = () => {
+    setLoopStartMs(null);
+    if (listening) {
+      // Restarting a demo starts the real run
+      setListening(false);
+      setMode(mode);
+    }
+    restart();
+    loopPracticeSection();
+  };
+
+  // Listen first: the engine plays the whole chart, then returns to the start
+  const handleListen = (event) => {
+    event.stopPropagation();
+    setListening(true);
+    setMode(PlayMode.DEMO);
+    start();
+  };
+
   // Handle back (with confirmation if playing)
   const handleBack = () => {
     stop();
@@ -208,6 +445,21 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
           }}>
             {difficulty}
           </span>
+          {playbackRate !== 1 && (
+            <span className="tempo-badge">{Math.round(playbackRate * 100)}% speed</span>
+          )}
+          {replay && (
+            <span className="tempo-badge">🎬 Replay</span>
+          )}
+          {adaptiveLevel > 0 && (
+            <span className="tempo-badge">🎯 Helper {adaptiveLevel}</span>
+          )}
+          {listening && (
+            <span className="tempo-badge">👂 Listening</span>
+          )}
+          {practiceSection && !listening && (
+            <span className="tempo-badge">🔁 {practiceSection.name}</span>
+          )}
         </div>
 
         <div className="score-display">
@@ -226,13 +478,25 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
           <span className="stat-label">Multiplier</span>
           <span className="stat-value">{multiplier}x</span>
         </div>
+        {waiting && (
+          <div className="wait-indicator">⏳ Play the glowing key!</div>
+        )}
         {midiConnected && (
           <div className="midi-indicator">🎹 MIDI</div>
         )}
       </div>
 
       {/* Progress bar */}
-      <div className="progress-bar">
+      <div
+        className={`progress-bar ${canSeek ? 'seekable' : ''}`}
+        role="slider"
+        aria-label="Song position"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(progress * 100)}
+        onPointerDown={handleSeekStart}
+        onPointerMove={handleSeekMove}
+      >
         <div
           className="progress-fill"
           style={{ width: `${progress * 100}%` }}
@@ -264,25 +528,46 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
           return (
             <div
               key={note.id}
-              className={`falling-note ${note.isBlack ? 'black' : ''} ${note.hit ? 'hit' : ''} ${note.hitResult ? `hit-${note.hitResult}` : ''}`}
+              className={`falling-note ${note.isBlack ? 'black' : ''} ${note.hand === Hand.LEFT ? 'hand-left' : ''} ${note.autoplay ? 'autoplay' : ''} ${note.hit ? 'hit' : ''} ${note.hitResult ? `hit-${note.hitResult}` : ''} ${note.holding ? 'holding' : ''}`}
               style={{
                 left: `${note.x}%`,
                 top: `${note.y}px`,
                 width: `${noteWidth}%`,
-                opacity: note.hit ? 0.3 : 1,
+                opacity: note.hit && !note.holding ? 0.3 : 1,
               }}
             >
               {getNoteLetter(note.midi)}
+              {note.finger && <span className="note-finger">{note.finger}</span>}
+              {note.dynamic && (
+                <span className={`note-dynamic ${note.dynamicsResult ? `dynamics-${note.dynamicsResult}` : ''}`}>
+                  {note.dynamic}
+                </span>
+              )}
             </div>
           );
         })}
 
+        {/* Count-in */}
+        {gameState === GameState.PLAYING && countInStatus && (
+          <div className="count-in-overlay">
+            <span className="count-in-beat" key={countInStatus.beatsLeft}>
+              {countInStatus.beatInBar}
+            </span>
+            <span className="count-in-text">Get Ready!</span>
+          </div>
+        )}
+
         {/* Overlays */}
         {gameState === GameState.IDLE && (
-          <div className="overlay start-overlay" onClick={start}>
+          <div className="overlay start-overlay" onClick={handleStart}>
             <div className="overlay-content">
               <span className="overlay-icon">▶</span>
               <span className="overlay-text">Tap to Start!</span>
+              {!replay && (
+                <button className="game-btn listen-btn" onClick={handleListen}>
+                  👂 Listen First
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -298,6 +583,27 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
         )}
       </div>
 
+      {/* Karaoke line: sung syllables fill in, the current one is highlighted */}
+      {lyricLine && (
+        <div className="karaoke">
+          <div className="karaoke-line">
+            {lyricLine.syllables.map((syllable, index) => (
+              <span
+                key={syllable.id}
+                className={`karaoke-syllable ${index === currentSyllable ? 'current' : ''} ${index < currentSyllable ? 'sung' : ''}`}
+              >
+                {getSyllableText(syllable)}
+              </span>
+            ))}
+          </div>
+          {lyricLine.next.length > 0 && (
+            <div className="karaoke-next">
+              {lyricLine.next.map(getSyllableText).join('')}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Controls */}
       <div className="game-controls">
         <button
@@ -308,18 +614,40 @@ export function GameScreen({ songId, difficulty, onBack, onFinish }) {
           {gameState === GameState.PAUSED ? '▶ Resume' : '⏸ Pause'}
         </button>
 
-        <button className="control-btn restart" onClick={restart}>
+        <button
+          className={`control-btn loop ${loop || loopStartMs !== null ? 'active' : ''}`}
+          onClick={handleLoopButton}
+          disabled={replay || listening || gameState === GameState.IDLE || gameState === GameState.FINISHED}
+        >
+          {getLoopButtonLabel()}
+        </button>
+
+        <button className="control-btn restart" onClick={handleRestart}>
           🔄 Restart
         </button>
       </div>
 
+      {/* Loop pass results (latest last) */}
+      {loop && loopPasses.length > 0 && (
+        <div className="loop-passes">
+          {loopPasses.slice(-5).map(pass => (
+            <span key={pass.pass} className="loop-pass">
+              #{pass.pass} {pass.accuracy}%
+            </span>
+          ))}
+        </div>
+      )}
+
       {/* Piano keyboard */}
       <div className="keyboard-container">
         <PianoKeyboard
           startMidi={60}
           endMidi={72}
           onKeyPress={onKeyPressed}
+          onKeyRelease={onKeyReleased}
           activeNotes={activeHints}
+          fingerHints={fingerHints}
+          playingNotes={playingKeys}
           hitFeedback={hitFeedback}
         />
       </div>
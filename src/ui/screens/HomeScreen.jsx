@@ -6,7 +6,7 @@
 
 import './HomeScreen.css';
 
-export function HomeScreen({ onPlay, onSongs, onLessons }) {
+export function HomeScreen({ onPlay, onSongs, onLessons, onDuel, onCalibrate }) {
   return (
     <div className="home-screen">
       <div className="home-content">
@@ -33,6 +33,13 @@ export function HomeScreen({ onPlay, onSongs, onLessons }) {
             <span className="btn-icon">📚</span>
             <span className="btn-text">Lessons</span>
           </button>
+
+          {onDuel && (
+            <button className="home-btn duel-btn" onClick={onDuel}>
+              <span className="btn-icon">👥</span>
+              <span className="btn-text">Duel</span>
+            </button>
+          )}
         </div>
 
         {/* Fun decoration */}
@@ -43,6 +50,13 @@ export function HomeScreen({ onPlay, onSongs, onLessons }) {
         </div>
       </div>
 
+      {/* Timing setup for laggy speakers/keyboards (grown-up task, kept small) */}
+      {onCalibrate && (
+        <button className="calibrate-btn" onClick={onCalibrate}>
+          🎧 Timing Setup
+        </button>
+      )}
+
       {/* Parent area hint (bottom corner) */}
       <div
         className="parent-area-trigger"
@@ -6,17 +6,45 @@
 
 import { useEffect } from 'react';
 import { audioEngine } from '../../audio/AudioEngine.js';
-import { HitResult } from '../../engine/HitDetection.js';
-import { MIDI_TO_NOTE } from '../../engine/ChartParser.js';
+import { HitResult, HoldResult, DynamicsResult } from '../../engine/HitDetection.js';
+import { ScoringMode, TimingTendency, findWeakestSection } from '../../engine/Scoring.js';
+import { MIDI_TO_NOTE, Hand } from '../../engine/ChartParser.js';
+import { serializeRecording } from '../../engine/Recording.js';
+import { AdaptiveReason } from '../../engine/Adaptive.js';
 import './ResultsScreen.css';
 
-export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
+export function ResultsScreen({ results, songTitle, onReplay, onWatchReplay, onPracticeSection, onBack }) {
   // Play success sound on mount
   useEffect(() => {
     audioEngine.playSuccess();
   }, []);
 
-  const { score, accuracy, stars, maxStreak, hitCounts, totalNotes, mistakes } = results;
+  const {
+    score,
+    accuracy,
+    stars,
+    maxStreak,
+    hitCounts,
+    totalNotes,
+    mistakes,
+    mode,
+    wrongAttempts,
+    holdCounts,
+    holdPoints = 0,
+    timing,
+    playbackRate = 1,
+    adaptive = null,
+    expression = null,
+    practiceHand = null,
+    sections = [],
+    recording,
+  } = results;
+
+  const weakestSection = findWeakestSection(sections);
+
+  const holdNotes = holdCounts
+    ? holdCounts[HoldResult.FULL] + holdCounts[HoldResult.PARTIAL] + holdCounts[HoldResult.SHORT]
+    : 0;
 
   // Generate star display
   const renderStars = () => {
@@ -35,6 +63,56 @@ export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
     return starElements;
   };
 
+  // Describe when a mistake happened (deltaMs is negative when early)
+  const getMistakeTiming = (mistake) => {
+    if (mistake.hitResult === HitResult.WRONG_NOTE) return 'wrong key';
+    if (typeof mistake.deltaMs !== 'number' || mistake.hitResult === HitResult.MISS) return 'missed';
+    const ms = Math.round(Math.abs(mistake.deltaMs));
+    return mistake.deltaMs < 0 ? `${ms}ms early` : `${ms}ms late`;
+  };
+
+  // Tip based on the average early/late offset
+  const getTimingHint = () => {
+    if (!timing || timing.count === 0) return null;
+    const ms = Math.abs(timing.meanOffsetMs);
+    if (timing.tendency === TimingTendency.RUSH) {
+      return `🐇 You tend to rush - about ${ms}ms early. Try waiting for the line!`;
+    }
+    if (timing.tendency === TimingTendency.DRAG) {
+      return `🐢 You tend to drag - about ${ms}ms late. Try playing a bit sooner!`;
+    }
+    return '🎯 Your timing is nice and steady!';
+  };
+
+  const timingHint = getTimingHint();
+
+  // Describe what adaptive mode changed at each step
+  const describeAdjustment = (change) => {
+    if (change.level === 0) return 'back to normal';
+    const parts = [];
+    if (change.windowScale > 1) parts.push('easier timing');
+    if (change.rateScale < 1) parts.push(`${Math.round(change.rateScale * 100)}% tempo`);
+    if (change.thinChords) parts.push('melody only');
+    return parts.join(', ');
+  };
+
+  // Song time as m:ss
+  const formatTime = (ms) => {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  // Download the run's inputs as JSON (e.g. for a teacher or a bug report)
+  const handleSaveRecording = () => {
+    const blob = new Blob([serializeRecording(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${recording.chartId.replace('/', '-')}-recording.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   // Get encouraging message based on performance
   const getMessage = () => {
     if (accuracy >= 95) return "Perfect! You're a piano superstar!";
@@ -61,6 +139,52 @@ export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
           <span className="song-name">{songTitle}</span>
         </div>
 
+        {/* How it was played: speed, and wrong keys or tries */}
+        <p className="mode-summary">
+          {playbackRate < 1 ? '🐢' : '🎵'} {Math.round(playbackRate * 100)}% speed
+          {mode === ScoringMode.ATTEMPTS && (
+            ` · ⏳ Wait for Me · ${wrongAttempts} wrong ${wrongAttempts === 1 ? 'try' : 'tries'}`
+          )}
+          {mode === ScoringMode.TIMING && wrongAttempts > 0 && (
+            ` · ${wrongAttempts} wrong ${wrongAttempts === 1 ? 'key' : 'keys'}`
+          )}
+          {practiceHand && (
+            practiceHand === Hand.LEFT ? ' · 🤚 Left hand' : ' · ✋ Right hand'
+          )}
+        </p>
+
+        {/* Long notes held to the end */}
+        {holdNotes > 0 && (
+          <p className="hold-summary">
+            🎹 Held {holdCounts[HoldResult.FULL]} of {holdNotes} long notes
+            {' · '}
+            <span className={holdPoints < 0 ? 'hold-penalty' : 'hold-bonus'}>
+              {holdPoints < 0 ? holdPoints : `+${holdPoints}`} hold points
+            </span>
+          </p>
+        )}
+
+        {/* Dynamics (only with a velocity-sensitive keyboard on a marked song) */}
+        {expression && (
+          <p className="hold-summary">
+            🔊 Expression {expression.percent}%
+            {' · '}{expression.counts[DynamicsResult.MATCH]} of {expression.judged} notes at the right loudness
+          </p>
+        )}
+
+        {/* Adaptive difficulty changes during the song */}
+        {adaptive && adaptive.changes.length > 0 && (
+          <div className="adaptive-summary">
+            <span className="adaptive-summary-title">🎯 Helper changes</span>
+            {adaptive.changes.map((change, i) => (
+              <span key={i} className="adaptive-change">
+                {formatTime(change.timeMs)} {change.reason === AdaptiveReason.STRUGGLING ? '⬇' : '⬆'}{' '}
+                {describeAdjustment(change)}
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Main stats */}
         <div className="stats-grid">
           <div className="stat-card score">
@@ -79,6 +203,45 @@ export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
           </div>
         </div>
 
+        {/* Early/late tendency */}
+        {timingHint && (
+          <div className="timing-hint">
+            <span className="timing-hint-text">{timingHint}</span>
+            <span className="timing-hint-stats">
+              avg {timing.meanOffsetMs > 0 ? '+' : ''}{timing.meanOffsetMs}ms · ±{timing.spreadMs}ms
+              {' · '}{timing.earlyCount} early · {timing.lateCount} late
+            </span>
+          </div>
+        )}
+
+        {/* Song parts, with the one that needs work */}
+        {sections.length > 0 && (
+          <div className="sections-summary">
+            <h3 className="breakdown-title">Song Parts</h3>
+            {sections.map(section => (
+              <div
+                key={section.id}
+                className={`section-result ${section.id === weakestSection?.id ? 'needs-work' : ''}`}
+              >
+                <span className="section-name">{section.name}</span>
+                <span className="section-accuracy">
+                  {section.accuracy === null ? '-' : `${section.accuracy}%`}
+                </span>
+                <span className="section-mistakes">
+                  {section.mistakes > 0
+                    ? `${section.mistakes} ${section.mistakes === 1 ? 'mistake' : 'mistakes'}`
+                    : section.judged > 0 && '✓'}
+                </span>
+              </div>
+            ))}
+            {weakestSection && onPracticeSection && (
+              <button className="practice-section-btn" onClick={() => onPracticeSection(weakestSection)}>
+                🔁 Practice the {weakestSection.name}
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Hit breakdown */}
         <div className="hit-breakdown">
           <h3 className="breakdown-title">Note Breakdown</h3>
@@ -142,7 +305,7 @@ export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
                     {MIDI_TO_NOTE[mistake.expectedMidi] || `Note ${mistake.expectedMidi}`}
                   </span>
                   <span className="mistake-timing">
-                    {mistake.deltaMs > 0 ? `${Math.round(mistake.deltaMs)}ms late` : 'missed'}
+                    {getMistakeTiming(mistake)}
                   </span>
                 </div>
               ))}
@@ -159,6 +322,19 @@ export function ResultsScreen({ results, songTitle, onReplay, onBack }) {
             🏠 More Songs
           </button>
         </div>
+
+        {recording && (
+          <div className="recording-actions">
+            {onWatchReplay && (
+              <button className="recording-btn" onClick={() => onWatchReplay(recording)}>
+                🎬 Watch Replay
+              </button>
+            )}
+            <button className="recording-btn" onClick={handleSaveRecording}>
+              💾 Save Recording
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Confetti animation */}
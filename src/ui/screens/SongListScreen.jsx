@@ -1,11 +1,15 @@
 /**
  * SongListScreen - Song selection with difficulty choice
  *
- * Shows song cards with thumbnails and difficulty selector
+ * Shows song cards with thumbnails, difficulty selector, play mode, speed, count-in,
+ * adaptive difficulty, what wrong keys do and which hand to practice.
+ * Duels only choose speed and count-in.
  */
 
 import { useState } from 'react';
 import { getSongList, DIFFICULTY_LABELS, DIFFICULTY_COLORS } from '../../songs/index.js';
+import { PlayMode, WrongNotePolicy } from '../../engine/GameEngine.js';
+import { Hand } from '../../engine/ChartParser.js';
 import './SongListScreen.css';
 
 // Thumbnail icons for songs
@@ -15,13 +19,73 @@ const THUMBNAILS = {
   default: '🎵',
 };
 
-export function SongListScreen({ onSelectSong, onBack }) {
+// Play mode choices
+const PLAY_MODES = [
+  { mode: PlayMode.NORMAL, label: '🎵 Play Along' },
+  { mode: PlayMode.WAIT, label: '⏳ Wait for Me' },
+];
+
+// Speed choices (playback rate)
+const SPEEDS = [
+  { rate: 0.5, label: '🐢 50%' },
+  { rate: 0.75, label: '75%' },
+  { rate: 1, label: '100%' },
+  { rate: 1.25, label: '125%' },
+  { rate: 1.5, label: '🐇 150%' },
+];
+
+// Count-in choices (bars of clicks before the first note)
+const COUNT_INS = [
+  { bars: 0, label: 'No count-in' },
+  { bars: 1, label: '🥁 1 bar' },
+  { bars: 2, label: '🥁 2 bars' },
+];
+
+// What a wrong key does (normal mode)
+const WRONG_NOTE_POLICIES = [
+  { policy: WrongNotePolicy.IGNORE, label: '🙈 Ignore wrong keys' },
+  { policy: WrongNotePolicy.PENALIZE, label: '⚠️ Count wrong keys' },
+  { policy: WrongNotePolicy.CONSUME, label: '❌ Wrong key = miss' },
+];
+
+// Hand to practice (songs with one hand only are always played in full)
+const PRACTICE_HANDS = [
+  { hand: null, label: '🙌 Both hands' },
+  { hand: Hand.LEFT, label: '🤚 Left hand' },
+  { hand: Hand.RIGHT, label: '✋ Right hand' },
+];
+
+export function SongListScreen({
+  onSelectSong,
+  onBack,
+  initialMode = PlayMode.NORMAL,
+  initialPlaybackRate = 1,
+  initialCountInBars = 1,
+  initialAdaptive = false,
+  initialWrongNotePolicy = WrongNotePolicy.PENALIZE,
+  initialPracticeHand = null,
+  duel = false, // Picking a song for a two-player duel
+}) {
   const songs = getSongList();
+  const hasTwoHandSongs = songs.some(song => song.twoHandDifficulties.length > 0);
   const [selectedDifficulty, setSelectedDifficulty] = useState({});
+  const [selectedMode, setSelectedMode] = useState(initialMode);
+  const [selectedRate, setSelectedRate] = useState(initialPlaybackRate);
+  const [selectedCountIn, setSelectedCountIn] = useState(initialCountInBars);
+  const [adaptive, setAdaptive] = useState(initialAdaptive);
+  const [wrongNotePolicy, setWrongNotePolicy] = useState(initialWrongNotePolicy);
+  const [practiceHand, setPracticeHand] = useState(initialPracticeHand);
 
   const handleSongClick = (songId) => {
     const difficulty = selectedDifficulty[songId] || 'simple';
-    onSelectSong(songId, difficulty);
+    onSelectSong(songId, difficulty, {
+      mode: selectedMode,
+      playbackRate: selectedRate,
+      countInBars: selectedCountIn,
+      adaptive,
+      wrongNotePolicy,
+      practiceHand: hasTwoHandSongs ? practiceHand : null,
+    });
   };
 
   const handleDifficultyClick = (e, songId, difficulty) => {
@@ -39,10 +103,89 @@ export function SongListScreen({ onSelectSong, onBack }) {
         <button className="back-btn" onClick={onBack}>
           ← Back
         </button>
-        <h1 className="header-title">🎵 Choose a Song</h1>
+        <h1 className="header-title">{duel ? '👥 Choose a Duel Song' : '🎵 Choose a Song'}</h1>
         <div className="header-spacer" />
       </header>
 
+      {/* Play mode toggle (duels are always played along) */}
+      {!duel && (
+        <div className="mode-selector">
+          {PLAY_MODES.map(({ mode, label }) => (
+            <button
+              key={mode}
+              className={`mode-btn ${selectedMode === mode ? 'selected' : ''}`}
+              onClick={() => setSelectedMode(mode)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Speed selector */}
+      <div className="mode-selector speed-selector">
+        {SPEEDS.map(({ rate, label }) => (
+          <button
+            key={rate}
+            className={`mode-btn speed-btn ${selectedRate === rate ? 'selected' : ''}`}
+            onClick={() => setSelectedRate(rate)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mode-selector speed-selector">
+        {COUNT_INS.map(({ bars, label }) => (
+          <button
+            key={bars}
+            className={`mode-btn speed-btn ${selectedCountIn === bars ? 'selected' : ''}`}
+            onClick={() => setSelectedCountIn(bars)}
+          >
+            {label}
+          </button>
+        ))}
+        {!duel && (
+          <button
+            className={`mode-btn speed-btn ${adaptive ? 'selected' : ''}`}
+            onClick={() => setAdaptive(!adaptive)}
+          >
+            🎯 Helper {adaptive ? 'On' : 'Off'}
+          </button>
+        )}
+      </div>
+
+      {/* Wrong key policy (wait mode always waits for the right key) */}
+      {!duel && selectedMode === PlayMode.NORMAL && (
+        <div className="mode-selector speed-selector">
+          {WRONG_NOTE_POLICIES.map(({ policy, label }) => (
+            <button
+              key={policy}
+              className={`mode-btn speed-btn ${wrongNotePolicy === policy ? 'selected' : ''}`}
+              onClick={() => setWrongNotePolicy(policy)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* One hand at a time (the app plays the other hand); hidden until a
+          song has hand-marked charts */}
+      {!duel && hasTwoHandSongs && (
+        <div className="mode-selector speed-selector">
+          {PRACTICE_HANDS.map(({ hand, label }) => (
+            <button
+              key={label}
+              className={`mode-btn speed-btn ${practiceHand === hand ? 'selected' : ''}`}
+              onClick={() => setPracticeHand(hand)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Song grid */}
       <div className="song-grid">
         {songs.map(song => {